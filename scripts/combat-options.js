@@ -1,4 +1,18 @@
+import { registerActionEconomy } from "./combat-options/action-economy.js";
+import { registerAim } from "./combat-options/aim.js";
+import { registerArmourBypass } from "./combat-options/armour-bypass.js";
+import { registerChatCardSummary } from "./combat-options/chat-card.js";
+import { registerDisarm } from "./combat-options/disarm.js";
 import { registerEngagementAutomation } from "./combat-options/engagement.js";
+import { registerEngagementGraph } from "./combat-options/engagement-graph.js";
+import { registerFallBack } from "./combat-options/fall-back.js";
+import { registerFiringIntoMelee } from "./combat-options/firing-into-melee.js";
+import { registerFullDefence } from "./combat-options/full-defence.js";
+import { registerGrapple } from "./combat-options/grapple.js";
+import { registerMovementTracking } from "./combat-options/movement.js";
+import { registerPinningAutomation } from "./combat-options/pinning.js";
+import { registerReach } from "./combat-options/reach.js";
+import { registerCombatOptionRegistry } from "./combat-options/registry.js";
 import { registerSettings } from "./combat-options/settings.js";
 import { registerTurnEffectHooks } from "./combat-options/turn-effects.js";
 import "./combat-options/dialog.js";
@@ -6,3 +20,17 @@ import "./combat-options/dialog.js";
 registerSettings();
 registerEngagementAutomation();
 registerTurnEffectHooks();
+registerPinningAutomation();
+registerArmourBypass();
+registerFullDefence();
+registerFallBack();
+registerGrapple();
+registerAim();
+registerFiringIntoMelee();
+registerActionEconomy();
+registerMovementTracking();
+registerCombatOptionRegistry();
+registerChatCardSummary();
+registerDisarm();
+registerReach();
+registerEngagementGraph();
@@ -0,0 +1,235 @@
+import { getModuleApi } from "./api.js";
+import { getActorCombatant } from "./combatants.js";
+import { ACTION_TYPES, MODULE_ID } from "./constants.js";
+import { log, logError } from "./logging.js";
+import { getOwnerRecipients } from "./permissions.js";
+
+const LEDGER_FLAG = "actionLedger";
+
+function createLedger(combat) {
+  return { round: combat?.round ?? 0, turn: combat?.turn ?? 0, entries: [], warnings: [] };
+}
+
+/**
+ * The actions a combatant has taken since its turn started, as `{ round, turn, entries, warnings }`.
+ * Each entry is `{ type, source }` where type is one of ACTION_TYPES; attacks also carry their options.
+ */
+export function getActionLedger(combatant) {
+  const ledger = combatant?.getFlag?.(MODULE_ID, LEDGER_FLAG);
+  if (!ledger || !Array.isArray(ledger.entries)) return createLedger(game.combat);
+  return ledger;
+}
+
+function countType(entries, type) {
+  return entries.filter((entry) => entry.type === type).length;
+}
+
+// Multi-Actions are legal on their own; these are the combinations the rules rule out.
+function findIllegalCombinations(entries) {
+  const warnings = [];
+  const combatActions = entries.filter((entry) => entry.type === "combat");
+
+  if (combatActions.length > 1 && combatActions.some((entry) => entry.allOutAttack)) {
+    warnings.push("AllOutAttackMultiAction");
+  }
+
+  // A Charge is a Full-Round Action; combined with another attack it gets its own warning.
+  const fullRound = entries.filter((entry) => entry.type === "fullRound");
+  const otherActions = entries.filter((entry) => !["fullRound", "reflexive"].includes(entry.type));
+  if (fullRound.length > 1 || (fullRound.length && otherActions.length)) {
+    const chargeWithAttack = fullRound.some((entry) => entry.charge)
+      && (fullRound.length > 1 || otherActions.some((entry) => entry.type === "combat"));
+    warnings.push(chargeWithAttack ? "ChargeMultiAction" : "FullRoundCombined");
+  }
+
+  if (countType(entries, "movement") > 1) {
+    warnings.push("MovementReused");
+  }
+
+  return warnings;
+}
+
+async function announceWarnings(combatant, warnings) {
+  const name = foundry.utils.escapeHTML(combatant.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"));
+  const lines = warnings.map((key) => `<li>${game.i18n.localize(`WNGCE.Actions.Warning.${key}`)}</li>`).join("");
+
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format("WNGCE.Actions.WarningHeader", { name })}</p><ul>${lines}</ul>`,
+    speaker: ChatMessage.getSpeaker({ actor: combatant.actor, token: combatant.token ?? undefined }),
+    whisper: getOwnerRecipients(combatant.actor),
+    flags: { [MODULE_ID]: { actionWarning: warnings } }
+  });
+}
+
+/**
+ * Records an action on the actor's combatant for this turn and whispers any illegal combination
+ * it creates. Does nothing outside an active combat or for users who don't own the combatant.
+ */
+export async function recordAction(actor, entry) {
+  if (!ACTION_TYPES.includes(entry?.type)) return null;
+
+  const combatant = getActorCombatant(actor);
+  if (!combatant?.isOwner) return null;
+
+  const combat = game.combat;
+  const current = getActionLedger(combatant);
+  const isOwnTurn = combat.combatant?.id === combatant.id;
+  const stale = isOwnTurn && (current.round !== combat.round || current.turn !== combat.turn);
+  const ledger = stale ? createLedger(combat) : foundry.utils.deepClone(current);
+
+  ledger.entries.push({ ...entry });
+  const warnings = findIllegalCombinations(ledger.entries);
+  const newWarnings = warnings.filter((key) => !ledger.warnings?.includes(key));
+  ledger.warnings = warnings;
+
+  try {
+    await combatant.setFlag(MODULE_ID, LEDGER_FLAG, ledger);
+  } catch (err) {
+    logError(`Failed to record ${entry.type} for ${actor?.name}`, err);
+    return null;
+  }
+
+  if (newWarnings.length) await announceWarnings(combatant, newWarnings);
+  log("log", `${actor?.name} used a ${entry.type} action (${entry.source ?? "unknown"})`);
+  return ledger;
+}
+
+function getMessageAttackFlags(message) {
+  if (message?.type !== "test") return null;
+  return message.system?.context?.flags?.combatExtender ?? null;
+}
+
+// A Multi-Attack opens one dialog per target, so its messages share a single Combat Action.
+function findOpenMultiAttack(entries, weapon, multiAttack) {
+  if (multiAttack <= 1) return -1;
+  const index = entries.findLastIndex((entry) => entry.type === "combat" || entry.charge);
+  const last = entries[index];
+  const open = last && last.weapon === weapon && last.multiAttack === multiAttack && last.hits < multiAttack;
+  return open ? index : -1;
+}
+
+function hasSource(combatant, source) {
+  return getActionLedger(combatant).entries.some((entry) => entry.source === source);
+}
+
+async function recordAttackMessage(message, options, userId) {
+  if (userId !== game.user?.id || game.system?.id !== "wrath-and-glory") return;
+
+  const flags = getMessageAttackFlags(message);
+  if (!flags) return;
+
+  const actor = ChatMessage.getSpeakerActor(message.system?.context?.speaker ?? message.speaker);
+  const combatant = getActorCombatant(actor);
+  if (!combatant?.isOwner) return;
+
+  const weapon = message.system?.testData?.itemId ?? null;
+  const multiAttack = Math.max(1, Number(flags.actions?.multiAttack ?? 1));
+
+  const ledger = foundry.utils.deepClone(getActionLedger(combatant));
+  const openIndex = findOpenMultiAttack(ledger.entries, weapon, multiAttack);
+  if (openIndex >= 0) {
+    ledger.entries[openIndex].hits += 1;
+    await combatant.setFlag(MODULE_ID, LEDGER_FLAG, ledger);
+    return;
+  }
+
+  const charge = Boolean(flags.actions?.charge);
+  await recordAction(actor, {
+    type: charge ? "fullRound" : "combat",
+    source: charge ? "charge" : (flags.pinning ? "pinning" : "attack"),
+    weapon,
+    multiAttack,
+    hits: 1,
+    allOutAttack: Boolean(flags.actions?.allOutAttack),
+    charge
+  });
+
+  // Aim and Brace spend the turn's Movement once, however many attacks follow; a Charge's
+  // movement is part of its Full-Round Action.
+  for (const [source, used] of [["aim", flags.aim], ["brace", flags.actions?.brace]]) {
+    if (used && !hasSource(combatant, source)) await recordAction(actor, { type: "movement", source });
+  }
+}
+
+// Each combatant's ledger covers its own turn: the previous one is cleared and the new one starts empty.
+export async function resetActionLedgers(combat) {
+  const previous = combat?.combatants?.get?.(combat?.previous?.combatantId ?? "");
+  const current = combat?.combatant ?? null;
+
+  try {
+    if (previous && previous !== current && previous.getFlag(MODULE_ID, LEDGER_FLAG)) {
+      await previous.unsetFlag(MODULE_ID, LEDGER_FLAG);
+    }
+    if (current) await current.setFlag(MODULE_ID, LEDGER_FLAG, createLedger(combat));
+  } catch (err) {
+    logError("Failed to reset action ledgers", err);
+  }
+}
+
+function summarizeLedger(ledger) {
+  const counts = new Map();
+  for (const entry of ledger.entries) {
+    counts.set(entry.type, (counts.get(entry.type) ?? 0) + 1);
+  }
+
+  const parts = [];
+  for (const type of ACTION_TYPES) {
+    const count = counts.get(type);
+    if (!count) continue;
+    const label = game.i18n.localize(`WNGCE.Actions.Short.${type}`);
+    parts.push(count > 1 ? `${label}×${count}` : label);
+  }
+  if (countType(ledger.entries, "combat") > 1) parts.push(game.i18n.localize("WNGCE.Actions.Short.multi"));
+  return parts.join(" · ");
+}
+
+function describeLedger(ledger) {
+  const lines = ledger.entries.map((entry) => game.i18n.format("WNGCE.Actions.EntryLine", {
+    type: game.i18n.localize(`WNGCE.Actions.Type.${entry.type}`),
+    source: game.i18n.has(`WNGCE.Actions.Source.${entry.source}`)
+      ? game.i18n.localize(`WNGCE.Actions.Source.${entry.source}`)
+      : (entry.source ?? game.i18n.localize("WNGCE.Actions.Source.other"))
+  }));
+  const warnings = (ledger.warnings ?? []).map((key) => `⚠ ${game.i18n.localize(`WNGCE.Actions.Warning.${key}`)}`);
+  return foundry.utils.escapeHTML([...lines, ...warnings].join("\n")).replaceAll("\n", "<br>");
+}
+
+function renderLedgerInTracker(app, html) {
+  const combat = app?.viewed ?? game.combat;
+  if (!combat || game.system?.id !== "wrath-and-glory") return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  if (!element) return;
+
+  for (const row of element.querySelectorAll("[data-combatant-id]")) {
+    const combatant = combat.combatants?.get?.(row.dataset.combatantId);
+    const ledger = combatant?.getFlag?.(MODULE_ID, LEDGER_FLAG);
+    if (!ledger?.entries?.length) continue;
+
+    const summary = document.createElement("div");
+    summary.classList.add("wngce-action-ledger");
+    if (ledger.warnings?.length) summary.classList.add("has-warnings");
+    summary.dataset.tooltip = describeLedger(ledger);
+    summary.textContent = summarizeLedger(ledger);
+
+    const nameElement = row.querySelector(".token-name") ?? row;
+    nameElement.querySelector(".wngce-action-ledger")?.remove();
+    nameElement.appendChild(summary);
+  }
+}
+
+export function registerActionEconomy() {
+  Hooks.once("init", () => {
+    const api = getModuleApi();
+    api.recordAction = recordAction;
+    api.getActionLedger = getActionLedger;
+  });
+
+  Hooks.on("renderCombatTracker", renderLedgerInTracker);
+  Hooks.on("createChatMessage", (...args) => {
+    const maybePromise = recordAttackMessage(...args);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to record attack action", err));
+    }
+  });
+}
@@ -0,0 +1,116 @@
+import { getActorCombatant } from "./combatants.js";
+import { AIM_MODES, MODULE_ID } from "./constants.js";
+import { log, logError } from "./logging.js";
+import { getGMRecipients } from "./permissions.js";
+
+// Combatant flags for choices that give up the turn's Movement.
+const MOVEMENT_COMMITMENTS = ["aim", "brace"];
+
+function isCurrentTurn(commitment, combat) {
+  return Boolean(commitment && combat) && commitment.round === combat.round && commitment.turn === combat.turn;
+}
+
+function getCurrentCommitment(actor, key) {
+  const combatant = getActorCombatant(actor);
+  const commitment = combatant?.getFlag?.(MODULE_ID, key);
+  return isCurrentTurn(commitment, game.combat) ? commitment : null;
+}
+
+async function setCommitment(actor, key, enabled, data = {}) {
+  const combatant = getActorCombatant(actor);
+  if (!combatant?.isOwner) return;
+
+  try {
+    if (!enabled) {
+      if (combatant.getFlag(MODULE_ID, key)) await combatant.unsetFlag(MODULE_ID, key);
+      return;
+    }
+
+    const current = getCurrentCommitment(actor, key);
+    if (current && Object.entries(data).every(([field, value]) => current[field] === value)) return;
+
+    const combat = game.combat;
+    await combatant.setFlag(MODULE_ID, key, {
+      ...data,
+      round: combat.round,
+      turn: combat.turn,
+      warned: Boolean(current?.warned)
+    });
+  } catch (err) {
+    logError(`Failed to record ${key} for ${actor?.name}`, err);
+  }
+}
+
+/**
+ * The Aim the actor committed to this turn, as `{ mode, round, turn }`, or null.
+ */
+export function getAimCommitment(actor) {
+  const aim = getCurrentCommitment(actor, "aim");
+  if (!aim) return null;
+  return AIM_MODES.includes(aim.mode) ? aim : { ...aim, mode: AIM_MODES[0] };
+}
+
+// Aiming lasts the whole turn, so later attacks that turn start from the same choice.
+export async function syncAimCommitment(actor, enabled, mode) {
+  await setCommitment(actor, "aim", enabled, { mode: AIM_MODES.includes(mode) ? mode : AIM_MODES[0] });
+}
+
+export function getBraceCommitment(actor) {
+  return getCurrentCommitment(actor, "brace");
+}
+
+// Bracing gives up the turn's Movement the same way Aim does.
+export async function syncBraceCommitment(actor, enabled) {
+  await setCommitment(actor, "brace", enabled);
+}
+
+// Aim and Brace use the turn's Movement, so moving afterwards is flagged for the GM once per turn.
+async function warnMovementAfterCommitment(tokenDocument, changed, options, userId) {
+  if (userId !== game.user?.id || game.system?.id !== "wrath-and-glory") return;
+  if (!changed || !("x" in changed || "y" in changed)) return;
+
+  const combatant = tokenDocument?.combatant ?? null;
+  const key = MOVEMENT_COMMITMENTS.find((entry) => {
+    const commitment = combatant?.getFlag?.(MODULE_ID, entry);
+    return isCurrentTurn(commitment, game.combat) && !commitment.warned;
+  });
+  if (!key) return;
+
+  const commitment = combatant.getFlag(MODULE_ID, key);
+
+  await combatant.setFlag(MODULE_ID, key, { ...commitment, warned: true });
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format(key === "brace" ? "WNGCE.Brace.MovedAfterBrace" : "WNGCE.Aim.MovedAfterAim", {
+      name: foundry.utils.escapeHTML(tokenDocument.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"))
+    })}</p>`,
+    speaker: ChatMessage.getSpeaker({ actor: tokenDocument.actor, token: tokenDocument }),
+    whisper: getGMRecipients(),
+    flags: { [MODULE_ID]: { movementCommitment: key } }
+  });
+
+  log("log", `${tokenDocument.name} moved after committing to ${key}`);
+}
+
+export async function clearMovementCommitments(combat) {
+  const previousId = combat?.previous?.combatantId;
+  if (!previousId || previousId === combat.combatant?.id) return;
+
+  const combatant = combat.combatants?.get?.(previousId);
+  for (const key of MOVEMENT_COMMITMENTS) {
+    if (!combatant?.getFlag?.(MODULE_ID, key)) continue;
+    try {
+      await combatant.unsetFlag(MODULE_ID, key);
+    } catch (err) {
+      logError(`Failed to clear ${key} flag`, err);
+    }
+  }
+}
+
+export function registerAim() {
+  Hooks.on("updateToken", (...args) => {
+    const maybePromise = warnMovementAfterCommitment(...args);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to check movement after Aim or Brace", err));
+    }
+  });
+}
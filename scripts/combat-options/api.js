@@ -0,0 +1,9 @@
+import { API_NAMESPACE } from "./constants.js";
+
+// Shared with contested-roll.js, which keeps its own copy of the namespace.
+export function getModuleApi() {
+  if (!game[API_NAMESPACE]) {
+    game[API_NAMESPACE] = {};
+  }
+  return game[API_NAMESPACE];
+}
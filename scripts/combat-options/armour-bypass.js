@@ -0,0 +1,83 @@
+import { ARMOUR_BYPASS_MODES, COMBAT_OPTION_LABELS, MODULE_ID } from "./constants.js";
+import { logDebug, logError } from "./logging.js";
+
+const HELMET_PATTERN = /\bhelm/i;
+
+function getBypassFlags(test) {
+  const bypass = test?.context?.flags?.combatExtender?.bypassArmour;
+  if (!bypass || !ARMOUR_BYPASS_MODES.includes(bypass.mode)) return null;
+  return bypass;
+}
+
+function getEquippedArmour(actor) {
+  const armour = actor?.itemTypes?.armour ?? actor?.items?.filter?.((item) => item.type === "armour") ?? [];
+  return armour.filter((item) => item?.system?.equipped);
+}
+
+function isHelmet(item) {
+  if (item?.getFlag?.(MODULE_ID, "helmet")) return true;
+  return HELMET_PATTERN.test(item?.name ?? "") || HELMET_PATTERN.test(item?.system?.keywords ?? "");
+}
+
+// A head shot against a target without a helmet ignores its body armour; shields still protect.
+function getHeadBypass(actor) {
+  const armour = getEquippedArmour(actor);
+  if (armour.some(isHelmet)) return 0;
+
+  return armour
+    .filter((item) => !item.traitList?.shield)
+    .reduce((highest, item) => Math.max(highest, Number(item.system?.rating ?? 0)), 0);
+}
+
+function getBypassAmount(actor, bypass) {
+  if (bypass.mode === "head") return getHeadBypass(actor);
+  const amount = Number(bypass.amount ?? 0);
+  return Number.isFinite(amount) ? Math.max(0, Math.round(amount)) : 0;
+}
+
+/**
+ * Adds a Resilience modifier for a Bypass Armour called shot during the target's preTakeDamage step.
+ * The bypass is capped by the target's armour and also lowers the armour AP can strip afterwards.
+ */
+function applyArmourBypass(actor, args) {
+  const bypass = getBypassFlags(args?.test);
+  if (!bypass || !args?.modifiers?.resilience || !args.resilience) return;
+
+  const armour = Math.max(0, Number(args.resilience.armour ?? 0));
+  const amount = Math.min(getBypassAmount(actor, bypass), armour);
+  if (!amount) return;
+
+  args.resilience.armour = armour - amount;
+  args.modifiers.resilience.push({
+    label: COMBAT_OPTION_LABELS.calledShotBypass,
+    value: -amount,
+    description: bypass.mode === "head"
+      ? game.i18n.localize("WNGCE.BypassArmour.HeadDescription")
+      : null
+  });
+
+  logDebug("CE armour bypass:", { actor: actor?.name, mode: bypass.mode, amount });
+}
+
+export function registerArmourBypass() {
+  Hooks.once("setup", () => {
+    if (game.system?.id !== "wrath-and-glory") return;
+
+    if (typeof globalThis.libWrapper?.register !== "function") {
+      logError("libWrapper is not available; Bypass Armour called shots will not reduce Resilience");
+      return;
+    }
+
+    libWrapper.register(MODULE_ID, "CONFIG.Actor.documentClass.prototype.runScripts", function (wrapped, trigger, args, ...rest) {
+      const result = wrapped(trigger, args, ...rest);
+      if (trigger === "preTakeDamage") {
+        try {
+          applyArmourBypass(this, args);
+        } catch (err) {
+          logError("Failed to apply Bypass Armour called shot", err);
+        }
+      }
+      return result;
+    }, "WRAPPER");
+  });
+}
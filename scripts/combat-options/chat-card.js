@@ -0,0 +1,75 @@
+import { onRenderChatMessage } from "./chat-hooks.js";
+
+function getCombatExtenderFlags(message) {
+  if (message?.type !== "test") return null;
+  return message.system?.context?.flags?.combatExtender ?? null;
+}
+
+function formatDelta(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+// Net changes the module made to the roll, before any manual adjustment.
+function describeDeltas(delta) {
+  if (!delta) return [];
+
+  return [
+    ["WNGCE.ChatCard.DeltaPool", Number(delta.pool ?? 0)],
+    ["WNGCE.ChatCard.DeltaDifficulty", Number(delta.difficulty ?? 0)],
+    ["WNGCE.ChatCard.DeltaEd", Number(delta.ed?.value ?? 0)]
+  ]
+    .filter(([, value]) => Number.isFinite(value) && value !== 0)
+    .map(([key, value]) => game.i18n.format(key, { value: formatDelta(value) }));
+}
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Adds a "Combat Options" strip to weapon test cards listing the options that were active and the
+ * net pool/DN/ED changes, so the assumptions behind the roll stay visible in the log.
+ */
+function renderCombatOptionsStrip(message, html) {
+  if (game.system?.id !== "wrath-and-glory") return;
+
+  const flags = getCombatExtenderFlags(message);
+  if (!flags) return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  const content = element?.querySelector(".message-content");
+  if (!content || content.querySelector(".wngce-chat-options")) return;
+
+  const options = Array.isArray(flags.options) ? flags.options.filter((entry) => entry?.label) : [];
+  const deltas = describeDeltas(flags.delta);
+  if (!options.length && !deltas.length) return;
+
+  const strip = createElement("div", "wngce-chat-options");
+  strip.appendChild(createElement("div", "wngce-chat-options__header", game.i18n.localize("WNGCE.ChatCard.Header")));
+
+  if (options.length) {
+    const list = createElement("div", "wngce-chat-options__list");
+    for (const entry of options) {
+      const chip = createElement("span", "wngce-chat-options__option", entry.label);
+      chip.dataset.option = entry.id ?? "";
+      list.appendChild(chip);
+    }
+    strip.appendChild(list);
+  }
+
+  if (deltas.length) {
+    strip.appendChild(createElement("div", "wngce-chat-options__deltas", deltas.join(" · ")));
+  }
+
+  // Between the dice and the result, where the system's weapon-roll.hbs keeps its result block.
+  const anchor = content.querySelector(".wrapper-input");
+  if (anchor) anchor.before(strip);
+  else content.appendChild(strip);
+}
+
+export function registerChatCardSummary() {
+  onRenderChatMessage(renderCombatOptionsStrip);
+}
@@ -0,0 +1,7 @@
+// Foundry v13 passes an HTMLElement to renderChatMessageHTML; v12 only has the jQuery hook.
+export function onRenderChatMessage(handler) {
+  Hooks.once("init", () => {
+    const hook = game.release?.generation >= 13 ? "renderChatMessageHTML" : "renderChatMessage";
+    Hooks.on(hook, handler);
+  });
+}
@@ -0,0 +1,9 @@
+/**
+ * The actor's combatant in the current combat. Turn-bound state only exists once the combat has
+ * started, so by default a combat that hasn't started has no combatant for it.
+ */
+export function getActorCombatant(actor, { requireStarted = true } = {}) {
+  const combat = game.combat;
+  if (!combat || !actor || (requireStarted && !combat.started)) return null;
+  return combat.combatants?.find?.((combatant) => combatant?.actor === actor || combatant?.actorId === actor.id) ?? null;
+}
@@ -2,20 +2,45 @@ export const MODULE_ID = "wng-CombatExtender";
 export const MODULE_BASE_PATH = `modules/${MODULE_ID}`;
 export const TEMPLATE_BASE_PATH = `${MODULE_BASE_PATH}/templates`;
 export const MODULE_LABEL = "WNG Combat Extender";
+export const API_NAMESPACE = "wngCombatExtender";
 
 export const COMBAT_OPTION_LABELS = {
   allOutAttack: "All-Out Attack (+2 Dice / –2 Defence)",
   charge: "Charge (+1 Die, 2× Speed)",
   brace: "Brace (Negate Heavy trait)",
   pinning: "Pinning Attack (No damage, target tests Resolve)",
+  pinningDifficulty: "Pinning Attack (DN = highest target Resolve)",
+  pinningNoDamage: "Pinning Attack (No damage)",
   halfCover: "Half Cover (+1 Defence)",
   fullCover: "Full Cover (+2 Defence)",
   pistolsInMelee: "Pistols In Melee (+2 DN to Ballistic Skill)",
   calledShotDisarm: "Disarm (No damage; Strength DN = half total damage)",
   disarmNoteHeading: "Disarm Reminder",
-  disarmNote: "Roll damage as normal to determine the Strength DN (half the attack's total damage)."
+  disarmNote: "On a hit, use Resolve Disarm on the chat card to roll damage; the target tests Strength at DN equal to half the total.",
+  calledShotBypass: "Called Shot (Bypass Armour)",
+  calledShotBypassAmount: "Armour Bypassed",
+  aimMode: "Aim Benefit",
+  aimIgnoreEngaged: "Aim (Ignore Engaged target penalty instead of +1 Die)",
+  firingIntoMelee: "Firing into Melee (Target Engaged with allies)",
+  braceHeavy: "Brace (Heavy penalty removed)",
+  manualOverride: "Manual Adjustment"
 };
 
+export const ARMOUR_BYPASS_MODES = ["amount", "head"];
+
+export const CHARGE_MINIMUM_DISTANCE = 4;
+
+// "bonus" keeps the system's +1 die; "engaged" trades it to ignore the penalty for an Engaged target.
+export const AIM_MODES = ["bonus", "engaged"];
+
+export const FIRING_INTO_MELEE_PENALTY = 2;
+
+// Kinds of action tracked per turn by action-economy.js; a second Combat Action makes a Multi-Action.
+export const ACTION_TYPES = ["combat", "movement", "simple", "fullRound", "reflexive"];
+
+// The Heavy trait's dialog script adds this DN when the wielder's Strength is too low.
+export const HEAVY_TRAIT_PENALTY = 2;
+
 export const ENGAGED_TOOLTIP_LABELS = {
   aimSuppressed: "Engaged Opponent (Aim bonus suppressed)",
   shortRangeSuppressed: "Engaged Opponent (Short Range bonus suppressed)",
@@ -29,6 +54,11 @@ export const COVER_DIFFICULTY_VALUES = {
   full: 2
 };
 
+export const COVER_STATUS_IDS = {
+  half: "halfCover",
+  full: "fullCover"
+};
+
 export const VISION_PENALTIES = {
   twilight: { label: "Vision: Twilight, Light Shadows, Heavy Mist (+1 DN Ranged / +0 DN Melee)", ranged: 1, melee: 0 },
   dim:      { label: "Vision: Very Dim Light, Heavy Rain, Fog, Drifting Smoke (+2 DN Ranged / +1 DN Melee)", ranged: 2, melee: 1 },
@@ -58,6 +88,17 @@ export const ENGAGED_CONDITION_CONFIG = {
   img: "icons/skills/melee/weapons-crossed-swords-black-gray.webp"
 };
 
+export const PINNED_CONDITION_ID = "pinned";
+export const PINNING_CONDITION_FLAG_SOURCE = "pinning-attack";
+
+export const FULL_DEFENCE_CONDITION_ID = "full-defence";
+export const FULL_DEFENCE_FLAG_SOURCE = "full-defence-action";
+export const FULL_DEFENCE_ICON = "systems/wrath-and-glory/assets/icons/effects/full-defence.svg";
+
+export const RESTRAINED_CONDITION_ID = "restrained";
+export const GRAPPLE_FLAG_SOURCE = "grapple";
+export const DEFAULT_ARM_COUNT = 2;
+
 export const PERSISTENT_DAMAGE_CONDITIONS = {
   onfire: {
     id: "onfire",
@@ -71,6 +112,27 @@ export const PERSISTENT_DAMAGE_CONDITIONS = {
   }
 };
 
+// Speed multipliers for slowing conditions, used only when the condition's effect doesn't already
+// change system.combat.speed. Hindered raises the DN of tests rather than slowing the actor.
+export const CONDITION_SPEED_MULTIPLIERS = {
+  exhausted: 0.5,
+  restrained: 0,
+  staggered: 0.5
+};
+
+export const MOVEMENT_ENFORCEMENT_MODES = {
+  off: "Off",
+  warn: "Warn the GM",
+  block: "Block players beyond double Speed"
+};
+
+export const MEASUREMENT_DIAGONAL_RULES = {
+  scene: "Use the scene's grid setting",
+  equidistant: "Equidistant (every diagonal counts as one space)",
+  alternating: "Alternating (1/2/1)",
+  exact: "Exact (straight-line distance)"
+};
+
 export const SLOWED_CONDITIONS = [
   { id: "exhausted", labelKey: "CONDITION.Exhausted" },
   { id: "hindered", labelKey: "CONDITION.Hindered" },
@@ -10,57 +10,232 @@
 // PREVIOUS: v1.1 - Fixed infinite loop bug with render guard
 
 import {
+  getAimCommitment,
+  getBraceCommitment,
+  syncAimCommitment,
+  syncBraceCommitment
+} from "./aim.js";
+import {
+  AIM_MODES,
+  ARMOUR_BYPASS_MODES,
+  CHARGE_MINIMUM_DISTANCE,
   COMBAT_OPTION_LABELS,
   COVER_DIFFICULTY_VALUES,
   ENGAGED_TOOLTIP_LABELS,
+  FIRING_INTO_MELEE_PENALTY,
+  HEAVY_TRAIT_PENALTY,
   MODULE_BASE_PATH,
   MODULE_ID,
   TEMPLATE_BASE_PATH,
   VISION_PENALTIES,
+  SIZE_ENGAGEMENT_SEQUENCE,
   SIZE_MODIFIER_OPTIONS,
   SIZE_OPTION_KEYS
 } from "./constants.js";
-import { getEngagedEffect, isActiveScene } from "./engagement.js";
+import { getEngagedEffect, getTurnMovement, isActiveScene } from "./engagement.js";
 import { log, logDebug, logError } from "./logging.js";
+import { getMovementAllowance } from "./movement.js";
+import {
+  anyCombatOptionActive,
+  applyCombatOptions,
+  buildCombatOptionGroups,
+  getCombatOptionDefaults,
+  registerCombatOption,
+  runCombatOptionChange,
+  summarizeActiveCombatOptions
+} from "./registry.js";
 import {
+  collectEngagedPairs,
+  getActorCover,
   getCanvasMeasurementContext,
   getCoverDifficulty,
   getCoverLabel,
+  getTokenDisposition,
+  measureTokenEdgeDistance,
+  measureTokenElevationDifference,
+  measureWallCover,
   normalizeCoverKey,
   normalizeSizeKey,
-  measureTokenDistance,
+  tokenIsDefeated,
   tokensAreEngaged,
   tokensAreEngagedUsingDistance
 } from "./measurement.js";
 import { syncAllOutAttackCondition } from "./turn-effects.js";
 
-function getTargetSize(dialog) {
-  const target = dialog?.data?.targets?.[0];
-  const actor = target?.actor ?? target?.document?.actor;
-  if (!actor) return "average";
+function getTargetActor(target) {
+  return target?.actor ?? target?.document?.actor ?? null;
+}
 
-  const size = actor.system?.combat?.size ?? actor.system?.size ?? actor.size;
-  return normalizeSizeKey(size);
+function getTargetEntryId(target) {
+  return target?.document?.id ?? target?.id ?? target?.token?.id ?? null;
 }
 
-function getTargetResolve(dialog) {
-  const target = dialog?.data?.targets?.[0];
-  const actor = target?.actor ?? target?.document?.actor;
-  if (!actor) return null;
+// The system opens one dialog per target for a Multi-Attack (context.multi), so the
+// remaining targets of the attack are only known through the user's targets when the
+// dialog was created; the first submission clears them.
+function getDialogTargets(dialog) {
+  const primary = Array.isArray(dialog?.data?.targets) ? dialog.data.targets : [];
+  const candidates = [...primary];
+  if (Number(dialog?.context?.multi) > 1) {
+    candidates.push(...(dialog._combatOptionsAttackTargets ?? game.user?.targets ?? []));
+  }
 
-  const resolveTotal = Number(foundry.utils.getProperty(actor.system, "attributes.resolve.total"));
-  if (Number.isFinite(resolveTotal) && resolveTotal > 0) return resolveTotal;
+  const results = [];
+  const seen = new Set();
+  for (const target of candidates) {
+    const identifier = getTargetEntryId(target) ?? getTargetActor(target)?.uuid ?? null;
+    if (identifier) {
+      if (seen.has(identifier)) continue;
+      seen.add(identifier);
+    }
+    results.push(target);
+  }
 
-  const resolveValue = Number(foundry.utils.getProperty(actor.system, "attributes.resolve.value"));
-  if (Number.isFinite(resolveValue) && resolveValue > 0) return resolveValue;
+  return results;
+}
+
+function getActorResolve(actor) {
+  if (!actor) return null;
+
+  for (const path of ["combat.resolve.total", "attributes.resolve.total", "attributes.resolve.value"]) {
+    const value = Number(foundry.utils.getProperty(actor.system, path));
+    if (Number.isFinite(value) && value > 0) return value;
+  }
 
   return null;
 }
 
+function getVisionPenalty(visionKey, weapon) {
+  const data = VISION_PENALTIES[visionKey];
+  if (!data) return 0;
+  return weapon?.isMelee ? data.melee : data.ranged;
+}
+
+function getHigherCover(a, b) {
+  return getCoverDifficulty(b) > getCoverDifficulty(a) ? normalizeCoverKey(b) : normalizeCoverKey(a);
+}
+
+/**
+ * Collects the size, cover, vision, Resolve and Defence of every target of the attack.
+ * Vision is chosen per target in the panel; everything else is read from the target.
+ */
+function getTargetModifiers(dialog) {
+  const primaryIds = new Set(
+    (Array.isArray(dialog?.data?.targets) ? dialog.data.targets : []).map(getTargetEntryId).filter(Boolean)
+  );
+  const attackerToken = game.settings.get(MODULE_ID, "wallCoverDetection")
+    ? getDialogAttackerToken(dialog)
+    : null;
+  const visionOverrides = dialog?.fields?.targetVision ?? {};
+
+  return getDialogTargets(dialog).map((target) => {
+    const actor = getTargetActor(target);
+    const id = getTargetEntryId(target);
+    const token = resolvePlaceableToken(target, { requireActiveScene: true });
+    const statusCover = getActorCover(actor);
+    // Walls are not part of the target's Defence, so this cover is applied on top of the status cover.
+    const wallCover = attackerToken && token && token !== attackerToken
+      ? measureWallCover(attackerToken, token)
+      : null;
+    const vision = VISION_PENALTIES[visionOverrides[id]] ? visionOverrides[id] : "";
+    const defence = Number(actor?.system?.combat?.defence?.total);
+
+    return {
+      id,
+      name: target?.name ?? actor?.name ?? null,
+      primary: primaryIds.has(id),
+      size: normalizeSizeKey(actor?.system?.combat?.size ?? actor?.system?.size ?? actor?.size),
+      statusCover,
+      wallCover,
+      cover: getHigherCover(statusCover, wallCover?.cover),
+      vision,
+      resolve: getActorResolve(actor),
+      defence: Number.isFinite(defence) ? defence : null
+    };
+  });
+}
+
+// The system opens one dialog per target of a Multi-Attack and takes the DN from that target's
+// Defence, so cover, size and vision come from the dialog's own targets only.
+function getOwnTargetModifiers(dialog, modifiers = getTargetModifiers(dialog)) {
+  return modifiers.filter((entry) => entry.primary);
+}
+
+// The smallest target is the least favourable for the attacker.
+function getTargetSize(modifiers) {
+  let smallest = null;
+  for (const entry of modifiers) {
+    const index = SIZE_ENGAGEMENT_SEQUENCE.indexOf(entry.size);
+    if (index < 0) continue;
+    if (smallest === null || index < SIZE_ENGAGEMENT_SEQUENCE.indexOf(smallest)) smallest = entry.size;
+  }
+  return smallest ?? "average";
+}
+
+// Pinning Attacks use the highest Resolve among every target of the attack.
+function getTargetResolve(dialog) {
+  let highest = null;
+
+  for (const target of getDialogTargets(dialog)) {
+    const resolve = getActorResolve(getTargetActor(target));
+    if (!Number.isFinite(resolve)) continue;
+    if (highest === null || resolve > highest) highest = resolve;
+  }
+
+  return highest;
+}
+
+function weaponCanPin(weapon) {
+  const salvoValue = Number(weapon?.system?.salvo ?? weapon?.salvo ?? 0);
+  return Boolean(weapon?.isRanged) && Number.isFinite(salvoValue) && salvoValue >= 1;
+}
+
+// The best cover among the given targets, from either the halfCover/fullCover condition or walls.
+function getTargetCover(modifiers) {
+  let best = null;
+  for (const entry of modifiers) {
+    if (!entry.cover) continue;
+    if (!best || getCoverDifficulty(entry.cover) > getCoverDifficulty(best.cover)) best = entry;
+  }
+  return best;
+}
+
+// Status cover on the dialog's own target already raises the Defence the system uses as DN.
+function getPrimaryStatusCover(modifiers) {
+  return modifiers
+    .filter((entry) => entry.primary)
+    .reduce((cover, entry) => getHigherCover(cover, entry.statusCover), "");
+}
+
+// Each target can sit in different lighting; the worst vision penalty among the given targets applies.
+function getEffectiveVision(fields, modifiers, weapon) {
+  let worst = VISION_PENALTIES[fields?.visionPenalty] ? fields.visionPenalty : "";
+  for (const entry of modifiers) {
+    if (getVisionPenalty(entry.vision, weapon) > getVisionPenalty(worst, weapon)) worst = entry.vision;
+  }
+  return worst;
+}
+
+function formatCoverHint(entry) {
+  if (!entry?.cover) return game.i18n.localize("WNGCE.Cover.NoneDetected");
+
+  const name = entry.name ?? game.i18n.localize("WNGCE.Common.UnknownActor");
+  const cover = game.i18n.localize(getCoverLabel(entry.cover));
+
+  if (getCoverDifficulty(entry.wallCover?.cover) > getCoverDifficulty(entry.statusCover)) {
+    return game.i18n.format("WNGCE.Cover.FromWalls", {
+      cover,
+      blocked: entry.wallCover.blocked,
+      total: entry.wallCover.total,
+      name
+    });
+  }
+
+  return game.i18n.format("WNGCE.Cover.FromStatus", { cover, name });
+}
+
 function getTargetIdentifier(dialog) {
-  const target = dialog?.data?.targets?.[0];
-  if (!target) return null;
-  return target?.document?.id ?? target?.id ?? target?.token?.id ?? null;
+  return getTargetEntryId(dialog?.data?.targets?.[0]);
 }
 
 function resolvePlaceableToken(tokenLike, { requireActiveScene = false } = {}) {
@@ -108,48 +283,539 @@ function getDialogAttackerToken(dialog) {
   return null;
 }
 
-function getDialogTargetTokens(dialog) {
-  const targets = Array.isArray(dialog?.data?.targets) ? dialog.data.targets : [];
-  if (!targets.length) return [];
+// A Charge needs at least 4 m of movement this turn, no more than double Speed, and must end
+// Engaged with every target. Returns null when there is no combat movement to judge.
+function getChargeEligibility(dialog) {
+  if (!dialog?.weapon?.isMelee) return null;
 
-  const results = [];
-  const seen = new Set();
+  const attackerToken = getDialogAttackerToken(dialog);
+  if (!attackerToken?.document?.inCombat || !game.combat?.started) return null;
 
-  for (const entry of targets) {
-    const token = resolvePlaceableToken(entry, { requireActiveScene: true });
-    if (!token) continue;
+  const moved = Math.round(getTurnMovement(attackerToken) * 10) / 10;
+  const { speed, maximum } = getMovementAllowance(attackerToken.actor);
 
-    const identifier = token.id ?? token.document?.id ?? token.document?.uuid ?? null;
-    if (identifier) {
-      if (seen.has(identifier)) continue;
-      seen.add(identifier);
-    }
+  if (moved < CHARGE_MINIMUM_DISTANCE) {
+    return {
+      qualifies: false,
+      reason: game.i18n.format("WNGCE.Charge.TooShort", { moved, minimum: CHARGE_MINIMUM_DISTANCE })
+    };
+  }
 
-    results.push(token);
+  if (speed > 0 && moved > maximum) {
+    return { qualifies: false, reason: game.i18n.format("WNGCE.Charge.TooFar", { moved, maximum }) };
+  }
+
+  const targets = getDialogTargets(dialog)
+    .map((target) => resolvePlaceableToken(target, { requireActiveScene: true }))
+    .filter((token) => token && token !== attackerToken);
+  if (!targets.length) {
+    return { qualifies: false, reason: game.i18n.localize("WNGCE.Charge.NoTarget") };
+  }
+
+  const measurement = getCanvasMeasurementContext();
+  const notEngaged = targets.filter((token) => (
+    !tokensAreEngaged(attackerToken, token, measurement) && !tokensAreEngaged(token, attackerToken, measurement)
+  ));
+  if (notEngaged.length) {
+    return {
+      qualifies: false,
+      reason: game.i18n.format("WNGCE.Charge.NotEngaged", {
+        moved,
+        targets: notEngaged.map((token) => token.name).join(", ")
+      })
+    };
+  }
+
+  return { qualifies: true, reason: game.i18n.format("WNGCE.Charge.Qualifies", { moved, maximum }) };
+}
+
+function weaponHasHeavy(weapon) {
+  const traits = weapon?.system?.traits;
+  return Boolean(traits?.has?.("heavy") || traits?.get?.("heavy"));
+}
+
+function weaponHasPistol(weapon) {
+  const traits = weapon?.system?.traits;
+  return Boolean(traits?.has?.("pistol") || traits?.get?.("pistol"));
+}
+
+// Only Pistols can be fired while Engaged; a GM can override the block for a single dialog.
+function isRangedAttackBlocked(dialog) {
+  const weapon = dialog?.weapon;
+  if (!weapon?.isRanged || weaponHasPistol(weapon)) return false;
+  if (dialog._combatOptionsRangedOverride) return false;
+  return Boolean(getEngagedEffect(dialog.actor ?? dialog.token?.actor ?? null));
+}
+
+// An Engaged attacker can only attack the targets it is Engaged with, in melee or with a Pistol.
+function getIllegalEngagedTargets(dialog) {
+  const weapon = dialog?.weapon;
+  if (!weapon || (weapon.isRanged && !weaponHasPistol(weapon))) return [];
+  if (!getEngagedEffect(dialog.actor ?? dialog.token?.actor ?? null)) return [];
+
+  const attackerToken = getDialogAttackerToken(dialog);
+  if (!attackerToken) return [];
+
+  const measurement = getCanvasMeasurementContext();
+  return getDialogTargets(dialog)
+    .map((target) => resolvePlaceableToken(target, { requireActiveScene: true }))
+    .filter((token) => {
+      if (!token || token === attackerToken) return false;
+      const distance = measureTokenEdgeDistance(attackerToken, token, measurement);
+      return !tokensAreEngagedUsingDistance(attackerToken, token, measurement, distance)
+        && !tokensAreEngagedUsingDistance(token, attackerToken, measurement, distance);
+    })
+    .map((token) => ({ id: token.document?.id ?? token.id, name: token.name }));
+}
+
+// The illegal targets dropped from this dialog's own targets, as opposed to the other dialogs of a Multi-Attack.
+function getDroppedTargets(dialog) {
+  if (!dialog?.fields?.dropIllegalTargets) return [];
+  const ownIds = new Set((dialog.data?.targets ?? []).map(getTargetEntryId).filter(Boolean));
+  return getIllegalEngagedTargets(dialog).filter((target) => ownIds.has(target.id));
+}
+
+// A dialog left without a target once its illegal ones are dropped must not roll at all.
+function isDroppedFromAttack(dialog) {
+  const ownTargets = dialog?.data?.targets ?? [];
+  const ownCount = Array.isArray(ownTargets) ? ownTargets.length : (ownTargets.size ?? 0);
+  return ownCount > 0 && getDroppedTargets(dialog).length >= ownCount;
+}
+
+// The Multi-Attack DN the system added for targets this dialog drops from the attack.
+function getDroppedMultiAttackPenalty(dialog) {
+  if (!dialog?.fields?.dropIllegalTargets || !(Number(dialog.context?.multi) > 1)) return 0;
+  return getIllegalEngagedTargets(dialog).length * 2;
+}
+
+function getSubmitBlockedLabel(dialog) {
+  if (isRangedAttackBlocked(dialog)) return ENGAGED_TOOLTIP_LABELS.rangedBlocked;
+  if (isDroppedFromAttack(dialog)) return game.i18n.localize("WNGCE.IllegalTargets.Dropped");
+  return null;
+}
+
+function formatDistance(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * The system bands range by the flat distance between the tokens' corners, so a target far above
+ * or below can get the Short Range die while being out of Short range. Returns the system's
+ * distance with the difference in elevation added when that happened; a band the user picked by
+ * hand is left alone.
+ */
+function getShortRangeCorrection(dialog) {
+  const weapon = dialog?.weapon;
+  const short = Number(weapon?.range?.short);
+  if (!weapon?.isRanged || !Number.isFinite(short) || short <= 0) return null;
+  if (dialog.userEntry?.range !== undefined) return null;
+  if (String(dialog.fields?.range ?? "").toLowerCase() !== "short") return null;
+
+  const flat = Number(dialog.fields?.distance);
+  if (!Number.isFinite(flat) || flat <= 0 || flat > short) return null;
+
+  const attackerToken = getDialogAttackerToken(dialog);
+  const target = resolvePlaceableToken(getDialogTargets(dialog)[0], { requireActiveScene: true });
+  if (!attackerToken || !target || target === attackerToken) return null;
+
+  const vertical = measureTokenElevationDifference(attackerToken, target);
+  if (!(vertical > 0)) return null;
+
+  const distance = Math.hypot(flat, vertical);
+  if (distance <= short) return null;
+
+  return {
+    distance,
+    vertical,
+    label: game.i18n.format("WNGCE.Range.OutOfShort", { distance: formatDistance(distance), vertical: formatDistance(vertical) })
+  };
+}
+
+function renderRangedBlockedBanner(app, $html) {
+  const attackSection = $html.find(".attack");
+  attackSection.find(".combat-options__blocked").remove();
+
+  const submitButton = $html.find('button[type="submit"]');
+  const blocked = isRangedAttackBlocked(app);
+  const dropped = !blocked && isDroppedFromAttack(app);
+  submitButton.prop("disabled", blocked || dropped);
+
+  if (dropped) {
+    attackSection.prepend(`
+      <div class="combat-options__blocked">
+        <p><i class="fas fa-ban"></i> ${game.i18n.localize("WNGCE.IllegalTargets.Dropped")}</p>
+      </div>
+    `);
+    return;
+  }
+
+  const overridden = Boolean(app._combatOptionsRangedOverride);
+  if (!blocked && !overridden) return;
+
+  const banner = $(`
+    <div class="combat-options__blocked${overridden ? " is-overridden" : ""}">
+      <p><i class="fas fa-ban"></i> ${ENGAGED_TOOLTIP_LABELS.rangedBlocked}</p>
+    </div>
+  `);
+
+  if (game.user?.isGM) {
+    const override = $(`
+      <label class="combat-options__option">
+        <input type="checkbox" ${overridden ? "checked" : ""} />
+        <span>${game.i18n.localize("WNGCE.RangedBlocked.Override")}</span>
+      </label>
+    `);
+    override.find("input").on("change", (ev) => {
+      const maybePromise = setRangedBlockOverride(app, ev.currentTarget.checked);
+      if (maybePromise?.catch) {
+        maybePromise.catch((err) => logError("Failed to override Engaged ranged restriction", err));
+      }
+    });
+    banner.append(override);
+  }
+
+  attackSection.prepend(banner);
+}
+
+async function setRangedBlockOverride(app, enabled) {
+  app._combatOptionsRangedOverride = Boolean(enabled);
+
+  const actor = app.actor ?? app.token?.actor ?? null;
+  const key = enabled ? "WNGCE.RangedBlocked.ChatOverride" : "WNGCE.RangedBlocked.ChatOverrideRemoved";
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format(key, {
+      gm: foundry.utils.escapeHTML(game.user?.name ?? ""),
+      name: foundry.utils.escapeHTML(actor?.name ?? game.i18n.localize("WNGCE.Common.UnknownActor")),
+      weapon: foundry.utils.escapeHTML(app.weapon?.name ?? "")
+    })}</p>`,
+    speaker: ChatMessage.getSpeaker({ user: game.user }),
+    flags: { [MODULE_ID]: { rangedBlockOverride: Boolean(enabled) } }
+  });
+
+  log("log", `${game.user?.name} ${enabled ? "overrode" : "restored"} the Engaged ranged restriction for ${actor?.name}`);
+  app.render();
+}
+
+// Active Heavy trait scripts have already raised the DN by the time computeFields runs.
+function countActiveHeavyPenalties(dialog) {
+  const scripts = Array.isArray(dialog?.data?.scripts) ? dialog.data.scripts : [];
+  return scripts
+    .filter((script) => script?.isActive && /^heavy$/i.test(String(script.label ?? script.Label ?? "").trim()))
+    .reduce((count, script) => count + Math.max(1, Number(script.scriptCount ?? 1)), 0);
+}
+
+// Targets locked in melee with the attacker's allies, each with the allies it is Engaged with.
+function getFiringIntoMeleeTargets(dialog) {
+  const attackerToken = getDialogAttackerToken(dialog);
+  const disposition = getTokenDisposition(attackerToken);
+  if (!attackerToken || !disposition) return [];
+
+  const allies = (canvas?.tokens?.placeables ?? []).filter((token) => (
+    token?.actor
+    && token !== attackerToken
+    && !token.document?.hidden
+    && !tokenIsDefeated(token)
+    && getTokenDisposition(token) === disposition
+  ));
+  if (!allies.length) return [];
+
+  const measurement = getCanvasMeasurementContext();
+  const results = [];
+  for (const target of getDialogTargets(dialog)) {
+    const token = resolvePlaceableToken(target, { requireActiveScene: true });
+    if (!token || token === attackerToken || allies.includes(token)) continue;
+
+    const engagedIds = new Set(collectEngagedPairs(allies, [token], measurement).map(([allyId]) => allyId));
+    if (engagedIds.size) results.push({ token, engagedWith: allies.filter((ally) => engagedIds.has(ally.id)) });
   }
 
   return results;
 }
 
-function combatOptionsActive(fields) {
+// Carried on the test so the damage step can lower the target's Resilience (see armour-bypass.js).
+function getArmourBypass(fields) {
+  const calledShot = fields?.calledShot;
+  if (!calledShot?.enabled || !ARMOUR_BYPASS_MODES.includes(calledShot.bypass)) return null;
+
+  if (calledShot.bypass === "head") return { mode: "head" };
+
+  const amount = Math.max(0, Math.round(Number(calledShot.bypassAmount ?? 0)));
+  return Number.isFinite(amount) && amount > 0 ? { mode: "amount", amount } : null;
+}
+
+// Registered options report their own state; the rest are fields the panel manages directly.
+function combatOptionsActive(dialog, fields) {
   if (!fields) return false;
 
   return Boolean(
-    fields.allOutAttack ||
-    fields.charging ||
-    fields.aim ||
-    fields.brace ||
-    fields.pinning ||
-    normalizeCoverKey(fields.cover ?? "") ||
+    anyCombatOptionActive(dialog, fields) ||
     fields.pistolsInMelee ||
-    normalizeSizeKey(fields.sizeModifier ?? "") ||
-    fields.visionPenalty ||
-    fields.disarm ||
     fields.calledShot?.enabled ||
-    normalizeSizeKey(fields.calledShot?.size ?? "")
+    normalizeSizeKey(fields.calledShot?.size ?? "") ||
+    getArmourBypass(fields)
   );
 }
 
+function getDialogActor(dialog) {
+  return dialog?.actor ?? dialog?.token?.actor ?? null;
+}
+
+// Clears the attack's damage and Extra Damage, listing what was removed under the given label.
+function suppressDamage(state, label) {
+  state.addTooltip("damage", -Number(state.damage ?? 0), label);
+  state.addTooltip("ed", -state.ed.value, label);
+  state.damage = 0;
+  state.ed = { value: 0, dice: 0 };
+}
+
+const COVER_CHOICES = [
+  { value: "", label: "No Cover" },
+  { value: "half", label: "Half Cover (+1 DN)" },
+  { value: "full", label: "Full Cover (+2 DN)" }
+];
+
+const VISION_CHOICES = [
+  { value: "", label: "Normal" },
+  { value: "twilight", label: "Twilight (+1 DN Ranged)" },
+  { value: "dim", label: "Dim Light (+2 DN Ranged / +1 DN Melee)" },
+  { value: "heavy", label: "Heavy Fog (+3 DN Ranged / +2 DN Melee)" },
+  { value: "darkness", label: "Darkness (+4 DN Ranged / +3 DN Melee)" }
+];
+
+const SIZE_CHOICES = [
+  { value: "", label: "Average Target (No modifier)" },
+  { value: "tiny", label: "Tiny Target (+2 DN)" },
+  { value: "small", label: "Small Target (+1 DN)" },
+  { value: "large", label: "Large Target (+1 Die)" },
+  { value: "huge", label: "Huge Target (+2 Dice)" },
+  { value: "gargantuan", label: "Gargantuan Target (+3 Dice)" }
+];
+
+// The built-in options go through the same registry as homebrew ones; registration order is the
+// order they render and apply in.
+registerCombatOption({
+  id: "allOutAttack",
+  group: "melee",
+  label: COMBAT_OPTION_LABELS.allOutAttack,
+  isAvailable: (dialog) => Boolean(dialog.weapon?.isMelee),
+  isDisabled: (dialog) => Boolean(getDialogActor(dialog)?.statuses?.has?.("full-defence")),
+  apply(state) {
+    if (!state.value) return;
+    state.pool += 2;
+    state.addTooltip("pool", 2, COMBAT_OPTION_LABELS.allOutAttack);
+  },
+  summary: "WNGCE.ChatCard.AllOutAttack",
+  onChange: (value, dialog) => syncAllOutAttackCondition(getDialogActor(dialog), Boolean(value))
+});
+
+// Eligibility is worked out from the turn's movement before the options apply (see applyCombatExtender).
+registerCombatOption({
+  id: "charging",
+  group: "melee",
+  label: COMBAT_OPTION_LABELS.charge,
+  isAvailable: (dialog) => Boolean(dialog.weapon?.isMelee),
+  hint: (dialog) => (dialog._combatOptionsChargeEligibility ?? getChargeEligibility(dialog))?.reason ?? "",
+  isDisabled(dialog) {
+    const eligibility = dialog._combatOptionsChargeEligibility ?? getChargeEligibility(dialog);
+    return Boolean(eligibility && !eligibility.qualifies && !game.user?.isGM);
+  },
+  apply(state) {
+    if (!state.value) return;
+    state.pool += 1;
+    state.addTooltip("pool", 1, COMBAT_OPTION_LABELS.charge);
+  },
+  summary: "WNGCE.ChatCard.Charge",
+  onChange: (value, dialog) => {
+    dialog._combatOptionsChargeOverride = true;
+  }
+});
+
+// The system's computeFields already adds +1 die for Aim; the "engaged" mode trades it away, but
+// only when there is a firing into melee penalty to cancel.
+function aimCancelsFiringIntoMelee(dialog, fields = dialog?.fields) {
+  return Boolean(fields?.aim && fields.aimMode === "engaged" && dialog?._combatOptionsFiringIntoMelee?.length);
+}
+
+registerCombatOption({
+  id: "aim",
+  group: "ranged",
+  label: () => `${game.i18n.localize("WEAPON.AIM")} (+1 Die or ignore Engaged)`,
+  default: (dialog) => Boolean(getAimCommitment(getDialogActor(dialog))),
+  isAvailable: (dialog) => Boolean(dialog.weapon?.isRanged),
+  isDisabled: (dialog) => Boolean(getEngagedEffect(getDialogActor(dialog))),
+  apply(state, dialog) {
+    if (!state.value || !aimCancelsFiringIntoMelee(dialog, state.fields)) return;
+    state.pool -= 1;
+    state.addTooltip("pool", -1, COMBAT_OPTION_LABELS.aimIgnoreEngaged);
+    state.difficulty -= FIRING_INTO_MELEE_PENALTY;
+    state.addTooltip("difficulty", -FIRING_INTO_MELEE_PENALTY, COMBAT_OPTION_LABELS.aimIgnoreEngaged);
+  },
+  summary: (value, dialog) => aimCancelsFiringIntoMelee(dialog) ? "WNGCE.ChatCard.AimEngaged" : "WNGCE.ChatCard.AimBonus",
+  onChange: (value, dialog) => syncAimCommitment(getDialogActor(dialog), Boolean(value), dialog.fields?.aimMode)
+});
+
+registerCombatOption({
+  id: "aimMode",
+  group: "ranged",
+  type: "select",
+  label: COMBAT_OPTION_LABELS.aimMode,
+  default: (dialog) => getAimCommitment(getDialogActor(dialog))?.mode ?? AIM_MODES[0],
+  choices: [
+    { value: "bonus", label: "WNGCE.Aim.Bonus" },
+    { value: "engaged", label: "WNGCE.Aim.IgnoreEngaged" }
+  ],
+  isAvailable: (dialog) => Boolean(dialog.weapon?.isRanged && dialog.fields?.aim),
+  isActive: (value, fields) => Boolean(fields?.aim) && value === "engaged",
+  // Shown as part of the aim option's summary.
+  summary: "",
+  onChange: (value, dialog) => syncAimCommitment(getDialogActor(dialog), Boolean(dialog.fields?.aim), value)
+});
+
+// Bracing a Heavy weapon negates the Strength penalty its trait script applied.
+registerCombatOption({
+  id: "brace",
+  group: "ranged",
+  label: COMBAT_OPTION_LABELS.brace,
+  default: (dialog) => Boolean(getBraceCommitment(getDialogActor(dialog))),
+  isAvailable: (dialog) => Boolean(dialog.weapon?.isRanged),
+  isDisabled: (dialog) => !weaponHasHeavy(dialog.weapon),
+  apply(state, dialog) {
+    if (!state.value || !weaponHasHeavy(dialog.weapon)) return;
+    const heavyPenalty = countActiveHeavyPenalties(dialog) * HEAVY_TRAIT_PENALTY;
+    if (!heavyPenalty) return;
+    state.difficulty -= heavyPenalty;
+    state.addTooltip("difficulty", -heavyPenalty, COMBAT_OPTION_LABELS.braceHeavy);
+    logDebug("CE brace:", { heavyPenalty, nextDifficulty: state.difficulty });
+  },
+  summary: "WNGCE.ChatCard.Brace",
+  onChange: (value, dialog) => syncBraceCommitment(getDialogActor(dialog), Boolean(value))
+});
+
+// The DN becomes the highest Resolve among the targets and the attack deals no damage.
+registerCombatOption({
+  id: "pinning",
+  group: "ranged",
+  label: COMBAT_OPTION_LABELS.pinning,
+  isAvailable: (dialog) => weaponCanPin(dialog.weapon),
+  note: (dialog) => Number.isFinite(dialog._combatOptionsPinningResolve)
+    ? `Resolve DN ${dialog._combatOptionsPinningResolve}`
+    : "",
+  apply(state, dialog) {
+    if (!state.value) return;
+
+    const pinningResolve = getTargetResolve(dialog);
+    if (Number.isFinite(pinningResolve)) {
+      const change = Math.max(0, Math.round(pinningResolve)) - Number(state.baseline.difficulty ?? 0);
+      state.difficulty += change;
+      state.addTooltip("difficulty", change, COMBAT_OPTION_LABELS.pinningDifficulty);
+      logDebug("CE pinning attack:", { pinningResolve, nextDifficulty: state.difficulty });
+    }
+
+    suppressDamage(state, COMBAT_OPTION_LABELS.pinningNoDamage);
+  },
+  summary: "WNGCE.ChatCard.Pinning"
+});
+
+// The detected cover is put back into the field before the options apply (see applyCombatExtender).
+registerCombatOption({
+  id: "cover",
+  group: "general",
+  type: "select",
+  label: "Cover",
+  choices: COVER_CHOICES,
+  hint: (dialog) => dialog._combatOptionsCoverHint ?? "",
+  isActive: (value) => Boolean(normalizeCoverKey(value ?? "")),
+  apply(state, dialog) {
+    // Cover modifies Defence, which a Pinning Attack's Resolve-based DN ignores.
+    if (state.fields.pinning && weaponCanPin(dialog.weapon)) return;
+
+    const statusCover = normalizeCoverKey(dialog._combatOptionsDefaultCover ?? "");
+    const selectedCover = normalizeCoverKey(state.value);
+    const coverDelta = getCoverDifficulty(selectedCover) - getCoverDifficulty(statusCover);
+    if (coverDelta === 0) return;
+
+    state.difficulty += coverDelta;
+    const label = getCoverLabel(coverDelta > 0 ? selectedCover : statusCover);
+    if (label) state.addTooltip("difficulty", coverDelta, game.i18n.localize(label));
+    logDebug("CE cover modifier:", { statusCover, selectedCover, coverDelta, nextDifficulty: state.difficulty });
+  },
+  summary: (value) => game.i18n.format("WNGCE.ChatCard.CoverLabel", {
+    cover: game.i18n.localize(getCoverLabel(value))
+  }),
+  onChange: (value, dialog) => {
+    dialog._combatOptionsCoverOverride = true;
+  }
+});
+
+// The worst of the panel's vision and each target's own vision applies.
+registerCombatOption({
+  id: "visionPenalty",
+  group: "general",
+  type: "select",
+  label: "Vision",
+  choices: VISION_CHOICES,
+  isActive: (value, fields) => Boolean(value) || Object.values(fields?.targetVision ?? {}).some(Boolean),
+  apply(state, dialog) {
+    const visionKey = getEffectiveVision(state.fields, getOwnTargetModifiers(dialog), dialog.weapon);
+    const visionPenaltyData = VISION_PENALTIES[visionKey];
+    if (!visionPenaltyData) return;
+
+    const penalty = getVisionPenalty(visionKey, dialog.weapon);
+    if (penalty > 0) state.difficulty += penalty;
+    state.addTooltip("difficulty", penalty ?? 0, visionPenaltyData.label);
+    logDebug("CE vision modifier:", { visionKey, penalty, nextDifficulty: state.difficulty });
+  },
+  summary(value, dialog) {
+    const visionKey = getEffectiveVision(dialog.fields, getOwnTargetModifiers(dialog), dialog.weapon);
+    if (!VISION_PENALTIES[visionKey]) return "";
+    return game.i18n.format("WNGCE.ChatCard.VisionLabel", {
+      vision: game.i18n.localize(`WNGCE.ChatCard.Vision.${visionKey}`)
+    });
+  }
+});
+
+registerCombatOption({
+  id: "sizeModifier",
+  group: "general",
+  type: "select",
+  label: "Target Size",
+  choices: SIZE_CHOICES,
+  isActive: (value) => normalizeSizeKey(value) !== "average",
+  apply(state) {
+    const sizeModifierData = SIZE_MODIFIER_OPTIONS[state.value];
+    if (!sizeModifierData) return;
+
+    if (sizeModifierData.pool) {
+      state.pool += sizeModifierData.pool;
+      state.addTooltip("pool", sizeModifierData.pool, sizeModifierData.label);
+    }
+    if (sizeModifierData.difficulty) {
+      state.difficulty += sizeModifierData.difficulty;
+      state.addTooltip("difficulty", sizeModifierData.difficulty, sizeModifierData.label);
+    }
+    logDebug("CE size modifier:", { sizeKey: state.value, nextPool: state.pool, nextDifficulty: state.difficulty });
+  },
+  summary: (value) => game.i18n.format("WNGCE.ChatCard.SizeLabel", {
+    size: game.i18n.localize(`SIZE.${normalizeSizeKey(value).toUpperCase()}`)
+  }),
+  onChange: (value, dialog) => {
+    dialog._combatOptionsSizeOverride = true;
+  }
+});
+
+registerCombatOption({
+  id: "disarm",
+  group: "general",
+  label: COMBAT_OPTION_LABELS.calledShotDisarm,
+  apply(state, dialog) {
+    if (!state.value) return;
+    // Kept for the Resolve Disarm button, which rolls this damage to set the target's Strength DN.
+    dialog._combatOptionsDisarmDamage = { damage: Number(state.damage ?? 0), ed: { ...state.ed } };
+    suppressDamage(state, COMBAT_OPTION_LABELS.calledShotDisarm);
+  },
+  summary: "WNGCE.ChatCard.Disarm"
+});
+
 Hooks.once("init", async () => {
   await loadTemplates([
     `${TEMPLATE_BASE_PATH}/combat-options.hbs`,
@@ -196,8 +862,7 @@ function ensureWeaponDialogPatched(app) {
     };
 
     const weapon = this.weapon;
-    const salvoValue = Number(weapon?.system?.salvo ?? weapon?.salvo ?? 0);
-    const canPinning = Boolean(weapon?.isRanged) && Number.isFinite(salvoValue) && salvoValue > 1;
+    const canPinning = weaponCanPin(weapon);
 
     const fields = this.fields ?? (this.fields = {});
     if (!canPinning && fields.pinning) {
@@ -217,19 +882,16 @@ function ensureWeaponDialogPatched(app) {
   prototype._defaultFields = function () {
     const baseFields = originalDefaultFields.call(this);
     return foundry.utils.mergeObject(baseFields, {
-      cover: "",
-      visionPenalty: "",
-      sizeModifier: "",
-      allOutAttack: false,
-      charging: false,
-      aim: false,
-      brace: false,
-      pinning: false,
+      ...getCombatOptionDefaults(this),
+      targetVision: {},
       pistolsInMelee: false,
+      dropIllegalTargets: false,
       disarm: false,
       calledShot: {
         enabled: false,
-        size: ""
+        size: "",
+        bypass: "",
+        bypassAmount: 0
       }
     });
   };
@@ -243,7 +905,10 @@ function ensureWeaponDialogPatched(app) {
         ? submitData.targets
         : Array.from(submitData.targets ?? []);
 
+      const droppedIds = new Set(getDroppedTargets(this).map((target) => target.id));
+
       submitData.targets = rawTargets
+        .filter((target) => !droppedIds.has(getTargetEntryId(target)))
         .map((target) => {
           const actor = resolveTargetActor(target);
           if (!actor) return null;
@@ -262,9 +927,26 @@ function ensureWeaponDialogPatched(app) {
       submitData.context.breakdown = this.createBreakdown();
     }
 
+    submitData.context.flags = foundry.utils.mergeObject(submitData.context.flags ?? {}, {
+      combatExtender: buildCombatExtenderFlags(this)
+    }, { inplace: false });
+
     return submitData;
   };
 
+  // Enter submits without going through the Roll button, so the Engaged blocks are checked here too.
+  const originalOnKeyPress = prototype._onKeyPress;
+  if (typeof originalOnKeyPress === "function") {
+    prototype._onKeyPress = function (ev) {
+      const blockedLabel = ev?.key === "Enter" ? getSubmitBlockedLabel(this) : null;
+      if (blockedLabel) {
+        ui.notifications?.warn(blockedLabel);
+        return;
+      }
+      return originalOnKeyPress.call(this, ev);
+    };
+  }
+
   prototype.computeFields = async function (...args) {
     const result = await originalComputeFields.apply(this, args);
 
@@ -283,6 +965,14 @@ function ensureWeaponDialogPatched(app) {
   return true;
 }
 
+// Fired from the dialog's constructor, so even the first weapon dialog of the session computes its
+// fields and binds its Enter handler with the patched methods.
+Hooks.on("wrath-and-glory:createRollDialog", (dialog) => {
+  if (game.system?.id !== "wrath-and-glory" || !dialog?.data?.weapon) return;
+  ensureWeaponDialogPatched(dialog);
+  if (Number(dialog.context?.multi) > 1) dialog._combatOptionsAttackTargets = Array.from(game.user?.targets ?? []);
+});
+
 function resolveTargetActor(target) {
   if (!target) return null;
 
@@ -345,7 +1035,7 @@ async function applyCombatExtender(dialog) {
   const weapon = dialog.weapon;
   if (!weapon) return;
 
-  console.log("=== applyCombatExtender START ===");
+  logDebug("CE applyCombatExtender start:", { weapon: weapon.name });
 
   const fields = dialog.fields ?? (dialog.fields = {});
 
@@ -384,134 +1074,121 @@ async function applyCombatExtender(dialog) {
     ? manualOverridesRaw
     : null;
   
-  let pool = Number(fields.pool ?? 0);
-  let difficulty = Number(fields.difficulty ?? 0);
-  let damage = fields.damage ?? 0;
-  let edValue = Number(fields.ed?.value ?? 0);
-  let edDice = Number(fields.ed?.dice ?? 0);
-  let apValue = Number(fields.ap?.value ?? 0);
-  let apDice = Number(fields.ap?.dice ?? 0);
-  let wrath = Number(fields.wrath ?? 0);
-
-  console.log("CE: Initial values - pool:", pool, "difficulty:", difficulty, "damage:", damage, "aim:", fields.aim);
-
-  const baseDamage = damage;
-  const baseEdValue = edValue;
-  const baseEdDice = edDice;
-
-  const addTooltip = (field, value, label) => {
-    // Tooltip implementation
+  // Everything the options adjust; each registered option's apply() works on this in turn.
+  const state = {
+    pool: Number(fields.pool ?? 0),
+    difficulty: Number(fields.difficulty ?? 0),
+    damage: fields.damage ?? 0,
+    ed: { value: Number(fields.ed?.value ?? 0), dice: Number(fields.ed?.dice ?? 0) },
+    ap: { value: Number(fields.ap?.value ?? 0), dice: Number(fields.ap?.dice ?? 0) },
+    wrath: Number(fields.wrath ?? 0),
+    fields,
+    baseline: systemBaselineSnapshot,
+    weapon,
+    actor: getDialogActor(dialog),
+    // Feed every adjustment into the system's tooltip collector so the pool/DN/damage hover text
+    // and the chat breakdown (createBreakdown) list each Combat Extender source.
+    addTooltip(field, value, label) {
+      const numericValue = Number(value);
+      if (!label || !Number.isFinite(numericValue) || numericValue === 0) return;
+      if (typeof dialog.tooltips?.add !== "function") return;
+
+      try {
+        dialog.tooltips.add(field, numericValue, label);
+      } catch (err) {
+        logError("Failed to add Combat Extender tooltip", err);
+      }
+    }
   };
+  const addTooltip = state.addTooltip;
+
+  logDebug("CE initial values:", { pool: state.pool, difficulty: state.difficulty, damage: state.damage, aim: fields.aim });
 
   // --- Pistols while Engaged ---
-  const actor = dialog.actor ?? dialog.token?.actor ?? null;
+  const actor = state.actor;
   const isEngaged = Boolean(getEngagedEffect(actor));
-
-  const traits = weapon?.system?.traits;
-  const hasPistol = Boolean(traits?.has?.("pistol") || traits?.get?.("pistol"));
+  const hasPistol = weaponHasPistol(weapon);
 
   // Use dialog.fields.range - it's calculated by system before computeFields runs
   // DOM cache (_combatExtenderRangeBand) isn't set yet on first dialog open
   const rangeBand = String(dialog.fields?.range ?? "").toLowerCase();
 
-  console.log("CE: Engagement check - isEngaged:", isEngaged, "hasPistol:", hasPistol, "rangeBand:", rangeBand);
+  logDebug("CE engagement check:", { isEngaged, hasPistol, rangeBand });
 
-  if (isEngaged && weapon?.isRanged && hasPistol) {
-    console.log("CE: Applying engagement penalties");
-    // +2 DN when firing pistols while engaged
-    difficulty += 2;
-    addTooltip("difficulty", 2, "Engaged + Pistol (+2 DN)");
-
-  // Cannot Aim while engaged
-  if (fields.aim) {
-    // System computeFields already added +1 die for Aim, so strip it out
-    pool -= 1;
-    addTooltip("pool", -1, "Aim suppressed (Engaged)");
-    fields.aim = false;
+  // The Short Range die goes when the target is only in Short range on the flat map.
+  const shortRangeCorrection = getShortRangeCorrection(dialog);
+  dialog._combatOptionsShortRangeCorrection = shortRangeCorrection;
+  if (shortRangeCorrection) {
+    state.pool -= 1;
+    addTooltip("pool", -1, shortRangeCorrection.label);
   }
 
+  if (isEngaged && weapon?.isRanged && hasPistol) {
+    logDebug("CE applying engagement penalties");
+    // +2 DN when firing pistols while engaged
+    state.difficulty += 2;
+    addTooltip("difficulty", 2, COMBAT_OPTION_LABELS.pistolsInMelee);
+
+    // Cannot Aim while engaged
+    if (fields.aim) {
+      // System computeFields already added +1 die for Aim, so strip it out
+      state.pool -= 1;
+      addTooltip("pool", -1, ENGAGED_TOOLTIP_LABELS.aimSuppressed);
+      fields.aim = false;
+    }
 
     // Short range bonus die is not allowed while engaged
-    if (rangeBand === "short") {
-      pool -= 1;
-      addTooltip("pool", -1, "Short Range suppressed (Engaged + Pistol)");
+    if (rangeBand === "short" && !shortRangeCorrection) {
+      state.pool -= 1;
+      addTooltip("pool", -1, ENGAGED_TOOLTIP_LABELS.shortRangeSuppressed);
     }
 
     fields.pistolsInMelee = true;
   }
   // --- end pistols while engaged ---
 
-  let damageSuppressed = false;
-  let restoreTargetSizeTooltip = null;
-
-  if (fields.allOutAttack) {
-    pool += 2;
-    addTooltip("pool", 2, COMBAT_OPTION_LABELS.allOutAttack);
-    logDebug("CE all-out attack:", { previousPool: pool - 2, nextPool: pool });
+  // Targets dropped from a Multi-Attack no longer count towards its DN.
+  const droppedMultiAttackPenalty = getDroppedMultiAttackPenalty(dialog);
+  if (droppedMultiAttackPenalty) {
+    state.difficulty -= droppedMultiAttackPenalty;
+    addTooltip("difficulty", -droppedMultiAttackPenalty, game.i18n.localize("WNGCE.IllegalTargets.DroppedMultiAttack"));
   }
 
-  if (fields.charging) {
-    pool += 1;
-    addTooltip("pool", 1, COMBAT_OPTION_LABELS.charge);
-    logDebug("CE charge:", { previousPool: pool - 1, nextPool: pool });
+  // --- Firing into melee ---
+  // Aim set to ignore the Engaged target penalty cancels it (see the aim option).
+  const firingIntoMelee = weapon?.isRanged ? getFiringIntoMeleeTargets(dialog) : [];
+  dialog._combatOptionsFiringIntoMelee = firingIntoMelee;
+  if (firingIntoMelee.length) {
+    state.difficulty += FIRING_INTO_MELEE_PENALTY;
+    addTooltip("difficulty", FIRING_INTO_MELEE_PENALTY, COMBAT_OPTION_LABELS.firingIntoMelee);
+    logDebug("CE firing into melee:", { targets: firingIntoMelee.map(({ token }) => token.name) });
   }
 
-  // NOTE: Aim bonus (+1) is already added by the system's computeFields()
-  // Combat Extender should only SUPPRESS it when engaged, not add it again
-  // Removed duplicate: if (fields.aim) { pool += 1; }
-
-  const visionKey = fields.visionPenalty;
-  const visionPenaltyData = VISION_PENALTIES[visionKey];
-  if (visionPenaltyData) {
-    const previousDifficulty = difficulty;
-    const penalty = weapon?.isMelee ? visionPenaltyData.melee : visionPenaltyData.ranged;
-    if (penalty > 0) difficulty += penalty;
-    addTooltip("difficulty", penalty ?? 0, visionPenaltyData.label);
-    logDebug("CE vision modifier:", { visionKey, penalty, previousDifficulty, nextDifficulty: difficulty });
-  }
-
-  const sizeKey = fields.sizeModifier;
-  const sizeModifierData = SIZE_MODIFIER_OPTIONS[sizeKey];
-  if (sizeModifierData) {
-    const previousPool = pool;
-    const previousDifficulty = difficulty;
-    if (sizeModifierData.pool) {
-      pool += sizeModifierData.pool;
-      addTooltip("pool", sizeModifierData.pool, sizeModifierData.label);
-    }
-    if (sizeModifierData.difficulty) {
-      difficulty += sizeModifierData.difficulty;
-      addTooltip("difficulty", sizeModifierData.difficulty, sizeModifierData.label);
+  // Charge follows the token's movement this turn unless the user picked it themselves;
+  // only a GM can keep it on when the move doesn't qualify.
+  const chargeEligibility = getChargeEligibility(dialog);
+  dialog._combatOptionsChargeEligibility = chargeEligibility;
+  if (chargeEligibility) {
+    if (!dialog._combatOptionsChargeOverride) {
+      fields.charging = chargeEligibility.qualifies;
+    } else if (!chargeEligibility.qualifies && !game.user?.isGM) {
+      fields.charging = false;
     }
-    logDebug("CE size modifier:", { sizeKey, previousPool, nextPool: pool, previousDifficulty, nextDifficulty: difficulty });
   }
 
-  if (fields.disarm) {
-    if (baseDamage) addTooltip("damage", -baseDamage, COMBAT_OPTION_LABELS.calledShotDisarm);
-    addTooltip("difficulty", 0, COMBAT_OPTION_LABELS.calledShotDisarm);
-    damage = 0;
-    edValue = 0;
-    edDice = 0;
-    damageSuppressed = true;
+  // The dialog rebuilds its fields from _defaultFields() before every compute, so the detected
+  // cover is re-applied here unless the user picked one (that choice comes back via userEntry).
+  if (!dialog._combatOptionsCoverOverride && dialog._combatOptionsDetectedCover !== undefined) {
+    fields.cover = dialog._combatOptionsDetectedCover;
   }
 
-  const statusCover = normalizeCoverKey(dialog._combatOptionsDefaultCover ?? "");
-  const selectedCover = normalizeCoverKey(fields.cover);
-  const coverDelta = getCoverDifficulty(selectedCover) - getCoverDifficulty(statusCover);
-
-  if (coverDelta !== 0) {
-    difficulty += coverDelta;
-    const label = getCoverLabel(coverDelta > 0 ? selectedCover : statusCover);
-    if (label) addTooltip("difficulty", coverDelta, label);
-  }
+  applyCombatOptions(state, dialog);
 
-  logDebug("CE cover modifier:", { statusCover, selectedCover, coverDelta, nextDifficulty: difficulty });
-
-  if (!damageSuppressed) {
-    damage = baseDamage;
-    edValue = baseEdValue;
-    edDice = baseEdDice;
-  }
+  const { pool, difficulty, damage, wrath } = state;
+  const edValue = Number(state.ed?.value ?? 0);
+  const edDice = Number(state.ed?.dice ?? 0);
+  const apValue = Number(state.ap?.value ?? 0);
+  const apDice = Number(state.ap?.dice ?? 0);
 
   const delta = {
     pool: pool - Number(systemBaselineSnapshot.pool ?? 0),
@@ -556,6 +1233,13 @@ async function applyCombatExtender(dialog) {
 
   if (manualOverrides) {
     logDebug("WeaponDialog.computeFields: re-applying manual overrides", manualOverrides);
+    const manualLabel = COMBAT_OPTION_LABELS.manualOverride;
+    addTooltip("pool", finalPool - Math.max(0, pool), manualLabel);
+    addTooltip("difficulty", finalDifficulty - Math.max(0, difficulty), manualLabel);
+    addTooltip("damage", Number(finalDamage ?? 0) - Number(damage ?? 0), manualLabel);
+    addTooltip("ed", finalEd.value - edValue, manualLabel);
+    addTooltip("ap", finalAp.value - apValue, manualLabel);
+    addTooltip("wrath", finalWrath - Math.max(0, wrath), manualLabel);
   }
 
   fields.pool = finalPool;
@@ -565,14 +1249,13 @@ async function applyCombatExtender(dialog) {
   fields.ap = finalAp;
   fields.wrath = finalWrath;
 
-  console.log("CE: Final values - pool:", fields.pool, "difficulty:", fields.difficulty, "damage:", fields.damage, "aim:", fields.aim);
-  console.log("=== applyCombatExtender END ===");
+  logDebug("CE final values:", { pool: fields.pool, difficulty: fields.difficulty, damage: fields.damage, aim: fields.aim });
 
   const actorForSafety = dialog.actor ?? dialog.token?.actor ?? null;
   const isEngagedForSafety = Boolean(getEngagedEffect(actorForSafety));
   const engagedRangedForSafety = Boolean(weapon?.isRanged && isEngagedForSafety);
 
-  const hasAnyCombatOption = combatOptionsActive(fields);
+  const hasAnyCombatOption = combatOptionsActive(dialog, fields);
 
   logDebug("WeaponDialog.computeFields: baseline vs final after CE", {
     baselinePool: systemBaselineSnapshot.pool,
@@ -582,9 +1265,14 @@ async function applyCombatExtender(dialog) {
     manualOverrides
   });
 
+  // The firing into melee penalty, the Short Range correction and dropped Multi-Attack targets
+  // apply without any option being ticked.
   if (!dialog._combatOptionsManualOverrides &&
       !engagedRangedForSafety &&
       !hasAnyCombatOption &&
+      !firingIntoMelee.length &&
+      !shortRangeCorrection &&
+      !droppedMultiAttackPenalty &&
       typeof systemBaselineSnapshot.pool === "number") {
     fields.pool = Number(systemBaselineSnapshot.pool);
     fields.difficulty = Number(systemBaselineSnapshot.difficulty ?? fields.difficulty);
@@ -596,6 +1284,105 @@ async function applyCombatExtender(dialog) {
   return dialog.fields;
 }
 
+function buildFiringIntoMeleeFlags(dialog) {
+  if (!dialog?.weapon?.isRanged) return null;
+  const targets = getFiringIntoMeleeTargets(dialog);
+  if (!targets.length) return null;
+
+  return {
+    aimed: Boolean(dialog.fields?.aim && dialog.fields?.aimMode === "engaged"),
+    targets: targets.map(({ token, engagedWith }) => ({
+      token: token.document.uuid,
+      engagedWith: engagedWith.map((ally) => ally.document.uuid)
+    }))
+  };
+}
+
+// What the chat card lists: the registered options plus the modifiers the panel applies itself.
+function summarizeCombatOptions(dialog) {
+  const fields = dialog?.fields ?? {};
+  const summaries = summarizeActiveCombatOptions(dialog, fields);
+
+  if (fields.pistolsInMelee) {
+    summaries.push({ id: "pistolsInMelee", label: game.i18n.localize("WNGCE.ChatCard.PistolsInMelee") });
+  }
+  if (dialog?._combatOptionsFiringIntoMelee?.length) {
+    summaries.push({ id: "firingIntoMelee", label: game.i18n.localize("WNGCE.ChatCard.FiringIntoMelee") });
+  }
+  if (dialog?._combatOptionsShortRangeCorrection) {
+    summaries.push({ id: "outOfShortRange", label: game.i18n.localize("WNGCE.ChatCard.OutOfShortRange") });
+  }
+
+  if (fields.calledShot?.enabled) {
+    const size = String(fields.calledShot.size ?? "").trim();
+    summaries.push({
+      id: "calledShot",
+      label: !size
+        ? game.i18n.localize("WNGCE.ChatCard.CalledShot")
+        : game.i18n.format("WNGCE.ChatCard.CalledShotSize", { size: game.i18n.localize(`SIZE.${size.toUpperCase()}`) })
+    });
+  }
+
+  const bypass = getArmourBypass(fields);
+  if (bypass) {
+    summaries.push({
+      id: "bypassArmour",
+      label: bypass.mode === "head"
+        ? game.i18n.localize("WNGCE.ChatCard.BypassHead")
+        : game.i18n.format("WNGCE.ChatCard.BypassAmount", { amount: bypass.amount })
+    });
+  }
+
+  if (dialog?._combatOptionsManualOverrides) {
+    summaries.push({ id: "manualOverride", label: game.i18n.localize("WNGCE.ChatCard.ManualAdjustment") });
+  }
+
+  return summaries;
+}
+
+function buildCombatExtenderFlags(dialog) {
+  const fields = dialog?.fields ?? {};
+  const pinning = Boolean(fields.pinning && weaponCanPin(dialog?.weapon));
+  const targetModifiers = getTargetModifiers(dialog);
+
+  return {
+    delta: dialog?._combatExtenderDelta ?? null,
+    // Read by chat-card.js for the Combat Options strip on the attack card.
+    options: summarizeCombatOptions(dialog),
+    pinning: pinning
+      ? { resolve: getTargetResolve(dialog) }
+      : null,
+    bypassArmour: getArmourBypass(fields),
+    // Read by disarm.js to roll the damage behind the target's Strength test.
+    disarm: fields.disarm ? (dialog?._combatOptionsDisarmDamage ?? { damage: 0, ed: { value: 0, dice: 0 } }) : null,
+    aim: fields.aim ? (AIM_MODES.includes(fields.aimMode) ? fields.aimMode : AIM_MODES[0]) : null,
+    firingIntoMelee: buildFiringIntoMeleeFlags(dialog),
+    // What the attack spends from the turn's action economy (see action-economy.js).
+    actions: {
+      allOutAttack: Boolean(fields.allOutAttack),
+      charge: Boolean(fields.charging),
+      brace: Boolean(fields.brace && weaponHasHeavy(dialog?.weapon)),
+      multiAttack: Math.max(1, (Number(dialog?.context?.multi) || 1) - getDroppedMultiAttackPenalty(dialog) / 2)
+    },
+    // Per-target breakdown so the result can be checked against each target's Defence.
+    targets: targetModifiers.map((entry) => ({
+      token: entry.id,
+      name: entry.name,
+      size: entry.size,
+      cover: entry.cover,
+      vision: getEffectiveVision(fields, [entry], dialog?.weapon),
+      resolve: entry.resolve,
+      defence: entry.defence
+    })),
+    applied: {
+      size: normalizeSizeKey(fields.sizeModifier ?? "") || "average",
+      cover: normalizeCoverKey(fields.cover ?? ""),
+      vision: getEffectiveVision(fields, getOwnTargetModifiers(dialog, targetModifiers), dialog?.weapon),
+      resolve: getTargetResolve(dialog)
+    }
+  };
+}
+
 Hooks.once("ready", () => {
   if (game.wng?.registerScript) {
     game.wng.registerScript("dialog", {
@@ -604,14 +1391,30 @@ Hooks.once("ready", () => {
       hide: () => false,
       submit(dialog) {
         dialog.flags = dialog.flags ?? {};
-        dialog.flags.combatExtender = {
-          delta: dialog._combatExtenderDelta ?? null
-        };
+        dialog.flags.combatExtender = buildCombatExtenderFlags(dialog);
       }
     });
   }
 });
 
+function buildTargetRow(entry, illegalIds = new Set()) {
+  const unknown = game.i18n.localize("WNGCE.Targets.Unknown");
+  const coverLabel = getCoverLabel(entry.cover);
+
+  return {
+    id: entry.id,
+    name: entry.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"),
+    vision: entry.vision,
+    illegal: illegalIds.has(entry.id),
+    summary: game.i18n.format("WNGCE.Targets.Summary", {
+      size: game.i18n.localize(`SIZE.${entry.size.toUpperCase()}`),
+      cover: coverLabel ? game.i18n.localize(coverLabel) : game.i18n.localize("WNGCE.Targets.NoCover"),
+      resolve: entry.resolve ?? unknown,
+      defence: entry.defence ?? unknown
+    })
+  };
+}
+
 function trackManualOverrideSnapshots(app, html) {
   const $html = html instanceof jQuery ? html : $(html);
 
@@ -688,39 +1491,10 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
     app._isRendering = true;
 
     try {
-      const wasJustPatched = ensureWeaponDialogPatched(app);
       const actor = app.actor ?? app.token?.actor;
       const isEngaged = Boolean(getEngagedEffect(actor));
       const $html = html instanceof jQuery ? html : $(html);
 
-      // If we just patched, fix the initial field values directly
-      // (computeFields already ran before we patched, so values are wrong)
-      if (wasJustPatched) {
-        const weapon = app.weapon;
-        const traits = weapon?.system?.traits;
-        const hasPistol = Boolean(traits?.has?.("pistol") || traits?.get?.("pistol"));
-        const rangeBand = String(app.fields?.range ?? "").toLowerCase();
-
-        if (isEngaged && weapon?.isRanged && hasPistol) {
-          console.log("CE: Fixing initial values for first open (engaged)");
-          
-          // Clear aim in fields and disable checkbox
-          if (app.fields.aim) app.fields.aim = false;
-          
-          // Add +2 DN for engagement
-          const newDifficulty = (app.fields.difficulty ?? 0) + 2;
-          app.fields.difficulty = newDifficulty;
-          $html.find('input[name="difficulty"]').val(newDifficulty);
-          
-          // Suppress short range bonus
-          if (rangeBand === "short") {
-            const newPool = (app.fields.pool ?? 0) - 1;
-            app.fields.pool = newPool;
-            $html.find('input[name="pool"]').val(newPool);
-          }
-        }
-      }
-
       $html.find('.form-group').has('input[name="aim"]').remove();
       $html.find('.form-group').has('input[name="charging"]').remove();
       $html.find('.form-group').has('select[name="calledShot.size"]').remove();
@@ -732,58 +1506,34 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
       const attackSection = $html.find(".attack");
       if (!attackSection.length) return;
 
-      const salvoValue = Number(app.weapon?.system?.salvo ?? app.weapon?.salvo ?? 0);
-      const canPinning = Boolean(app.weapon?.isRanged) && Number.isFinite(salvoValue) && salvoValue > 1;
+      const canPinning = weaponCanPin(app.weapon);
 
       const targetResolve = getTargetResolve(app);
       const normalizedResolve = Number.isFinite(targetResolve) ? Math.max(0, Math.round(targetResolve)) : null;
       const ctx = {
         open: app._combatOptionsOpen ?? false,
-        isMelee: !!app.weapon?.isMelee,
-        isRanged: !!app.weapon?.isRanged,
-        hasHeavy: !!app.weapon?.system?.traits?.has?.("heavy"),
-        canPinning,
-        pinningResolve: normalizedResolve,
         fields: foundry.utils.duplicate(app.fields ?? {}),
         labels: {
-          allOutAttack: COMBAT_OPTION_LABELS.allOutAttack,
-          charge: COMBAT_OPTION_LABELS.charge,
-          brace: COMBAT_OPTION_LABELS.brace,
-          pinning: COMBAT_OPTION_LABELS.pinning,
-          cover: "Cover",
-          vision: "Vision",
-          size: "Target Size",
           calledShot: "Called Shot",
           calledShotSize: "Target Size",
-          disarm: COMBAT_OPTION_LABELS.calledShotDisarm,
+          calledShotBypass: COMBAT_OPTION_LABELS.calledShotBypass,
+          calledShotBypassAmount: COMBAT_OPTION_LABELS.calledShotBypassAmount,
+          targetNotEngaged: ENGAGED_TOOLTIP_LABELS.targetNotEngaged,
           disarmNoteHeading: COMBAT_OPTION_LABELS.disarmNoteHeading,
           disarmNote: COMBAT_OPTION_LABELS.disarmNote
         },
-        coverOptions: [
-          { name: "cover", value: "", label: "No Cover" },
-          { name: "cover", value: "half", label: "Half Cover (+1 DN)" },
-          { name: "cover", value: "full", label: "Full Cover (+2 DN)" }
-        ],
-        visionOptions: [
-          { name: "visionPenalty", value: "", label: "Normal" },
-          { name: "visionPenalty", value: "twilight", label: "Twilight (+1 DN Ranged)" },
-          { name: "visionPenalty", value: "dim", label: "Dim Light (+2 DN Ranged / +1 DN Melee)" },
-          { name: "visionPenalty", value: "heavy", label: "Heavy Fog (+3 DN Ranged / +2 DN Melee)" },
-          { name: "visionPenalty", value: "darkness", label: "Darkness (+4 DN Ranged / +3 DN Melee)" }
-        ],
-        sizeOptions: [
-          { name: "sizeModifier", value: "", label: "Average Target (No modifier)" },
-          { name: "sizeModifier", value: "tiny", label: "Tiny Target (+2 DN)" },
-          { name: "sizeModifier", value: "small", label: "Small Target (+1 DN)" },
-          { name: "sizeModifier", value: "large", label: "Large Target (+1 Die)" },
-          { name: "sizeModifier", value: "huge", label: "Huge Target (+2 Dice)" },
-          { name: "sizeModifier", value: "gargantuan", label: "Gargantuan Target (+3 Dice)" }
-        ],
+        // Per-target vision selectors share the panel's vision choices.
+        visionOptions: VISION_CHOICES,
         calledShotSizes: [
           { value: "", label: "" },
           { value: "tiny", label: game.i18n.localize("SIZE.TINY") },
           { value: "small", label: game.i18n.localize("SIZE.SMALL") },
           { value: "medium", label: game.i18n.localize("SIZE.MEDIUM") }
+        ],
+        bypassOptions: [
+          { value: "", label: game.i18n.localize("WNGCE.BypassArmour.None") },
+          { value: "amount", label: game.i18n.localize("WNGCE.BypassArmour.Amount") },
+          { value: "head", label: game.i18n.localize("WNGCE.BypassArmour.Head") }
         ]
       };
 
@@ -822,7 +1572,6 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
         }
       }
 
-      ctx.disableAllOutAttack = disableAllOutAttack;
 
       // FIX #2: Only reset cover override when target changes, not when value equals default
       const currentTargetId = getTargetIdentifier(app);
@@ -836,9 +1585,35 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
         shouldRecompute = true;
       }
 
-      const defaultCover = "";
-      const normalizedDefaultCover = defaultCover ?? "";
-      app._combatOptionsDefaultCover = defaultCover;
+      // _combatOptionsDefaultCover tracks the status cover already baked into the target's Defence;
+      // wall cover only raises the select's default, so the cover delta adds it to the DN.
+      const targetModifiers = getTargetModifiers(app);
+      const ownTargetModifiers = getOwnTargetModifiers(app, targetModifiers);
+      const bestCover = getTargetCover(ownTargetModifiers);
+      const normalizedDefaultCover = normalizeCoverKey(bestCover?.cover ?? "");
+      app._combatOptionsDefaultCover = getPrimaryStatusCover(targetModifiers);
+      app._combatOptionsDetectedCover = normalizedDefaultCover;
+      app._combatOptionsCoverHint = formatCoverHint(bestCover);
+      const illegalTargets = getIllegalEngagedTargets(app);
+      const illegalIds = new Set(illegalTargets.map((target) => target.id));
+      ctx.illegalTargets = illegalTargets;
+      ctx.illegalTargetNames = illegalTargets.map((target) => target.name).join(", ");
+      ctx.targetRows = targetModifiers.length > 1
+        ? targetModifiers.map((entry) => buildTargetRow(entry, illegalIds))
+        : [];
+
+      // Every dialog of a Multi-Attack sees all of its targets, so only the one opened for the
+      // first target warns.
+      const leadTarget = app._combatOptionsAttackTargets?.[0];
+      const leadsAttack = !leadTarget || getTargetEntryId(leadTarget) === getTargetEntryId(app.data?.targets?.[0]);
+      const illegalKey = Array.from(illegalIds).sort().join(",");
+      if (illegalKey && leadsAttack && app._combatOptionsIllegalTargetsWarned !== illegalKey) {
+        ui.notifications?.warn(game.i18n.format("WNGCE.IllegalTargets.Warning", {
+          name: actor?.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"),
+          targets: ctx.illegalTargetNames
+        }));
+      }
+      app._combatOptionsIllegalTargetsWarned = illegalKey;
 
       if (!app._combatOptionsCoverOverride) {
         const previousCover = (foundry.utils.getProperty(fields, "cover") ?? "");
@@ -849,8 +1624,7 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
         foundry.utils.setProperty(fields, "cover", normalizedDefaultCover);
       }
 
-      const defaultSize = app._combatOptionsDefaultSizeModifier ?? getTargetSize(app);
-      app._combatOptionsDefaultSizeModifier = defaultSize;
+      const defaultSize = getTargetSize(ownTargetModifiers);
       const defaultFieldValue = defaultSize === "average" ? "" : defaultSize;
       const previousSizeModifier = ctx.fields.sizeModifier ?? "";
       if (app._combatOptionsSizeOverride && previousSizeModifier === defaultFieldValue) {
@@ -868,6 +1642,14 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
         foundry.utils.setProperty(ctx.fields, "pinning", false);
       }
 
+      // Aim can't be taken while Engaged with a ranged weapon.
+      if (isEngaged && app.weapon?.isRanged) {
+        foundry.utils.setProperty(ctx.fields, "aim", false);
+        foundry.utils.setProperty(fields, "aim", false);
+      }
+
+      ctx.options = buildCombatOptionGroups(app, ctx.fields);
+
       const existing = attackSection.find("[data-co-root]");
       const htmlFrag = await renderTemplate(`${TEMPLATE_BASE_PATH}/combat-options.hbs`, ctx);
       if (existing.length) {
@@ -882,17 +1664,7 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
       }
 
       const root = attackSection.find("[data-co-root]");
-      
-      // Disable Aim checkbox when engaged with ranged weapon
-      if (isEngaged && app.weapon?.isRanged) {
-        const aimCheckbox = root.find('input[name="aim"]');
-        if (aimCheckbox.length) {
-          aimCheckbox.prop("disabled", true);
-          aimCheckbox.prop("checked", false);
-          foundry.utils.setProperty(fields, "aim", false);
-        }
-      }
-      
+
       if (root.length && typeof app._onFieldChange === "function") {
         root.find("[name]").each((_, el) => {
           if (el.dataset?.co) return;
@@ -917,7 +1689,8 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
       root.on("change.combatOptions", "input[data-co], select[data-co]", async (ev) => {
         const el = ev.currentTarget;
         const name = el.name;
-        const value = el.type === "checkbox" ? el.checked : el.value;
+        let value = el.type === "checkbox" ? el.checked : el.value;
+        if (el.type === "number") value = Number(el.value || 0);
 
         logDebug("CE change:", name, value);
 
@@ -934,14 +1707,6 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
           return;
         }
 
-        if (name === "sizeModifier") {
-          app._combatOptionsSizeOverride = true;
-        }
-
-        if (name === "cover") {
-          app._combatOptionsCoverOverride = true;
-        }
-
         foundry.utils.setProperty(app.fields ?? (app.fields = {}), name, value);
         foundry.utils.setProperty(app.userEntry ?? (app.userEntry = {}), name, value);
 
@@ -949,9 +1714,7 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
           root.find(".combat-options__called-shot").toggleClass("is-hidden", !value);
         }
 
-        if (name === "allOutAttack" && !disableAllOutAttack) {
-          await syncAllOutAttackCondition(actor, Boolean(value));
-        }
+        await runCombatOptionChange(name, value, app);
 
         // FIX #3: _onFieldChange already calls render, but DON'T call it if we're
         // already in a render cycle (this would cause infinite loop)
@@ -964,6 +1727,7 @@ Hooks.on("renderWeaponDialog", async (app, html) => {
 
       trackManualOverrideSnapshots(app, $html);
       syncDialogInputsFromFields(app, $html);
+      renderRangedBlockedBanner(app, $html);
 
     } finally {
       // Always clear the rendering flag
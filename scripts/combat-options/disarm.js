@@ -0,0 +1,290 @@
+import { onRenderChatMessage } from "./chat-hooks.js";
+import { MODULE_ID } from "./constants.js";
+import { log, logError } from "./logging.js";
+
+function getDisarmFlags(message) {
+  if (message?.type !== "test") return null;
+  return message.system?.context?.flags?.combatExtender?.disarm ?? null;
+}
+
+function formatName(document) {
+  return foundry.utils.escapeHTML(document?.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"));
+}
+
+function findPrompts(sourceId) {
+  return game.messages?.filter?.((message) => message.getFlag(MODULE_ID, "disarmPrompt")?.source === sourceId) ?? [];
+}
+
+function hasResult(promptId) {
+  return Boolean(game.messages?.some?.((message) => message.getFlag(MODULE_ID, "disarmResult")?.prompt === promptId));
+}
+
+function resolveMessageTargets(message) {
+  const targets = Array.isArray(message.system?.context?.targets) ? message.system.context.targets : [];
+  const documents = [];
+  const seen = new Set();
+
+  for (const target of targets) {
+    const tokenDocument = game.scenes?.get?.(target?.scene)?.tokens?.get?.(target?.token) ?? null;
+    const document = tokenDocument ?? game.actors?.get?.(target?.actor) ?? null;
+    if (!document?.uuid || seen.has(document.uuid)) continue;
+    seen.add(document.uuid);
+    documents.push(document);
+  }
+
+  return documents;
+}
+
+// The system doesn't export DamageRoll, but its damage message model builds one from the message data.
+function getDamageRollClass() {
+  const DamageMessageModel = CONFIG.ChatMessage.dataModels.damage;
+  return new DamageMessageModel({ context: {}, damageData: {}, rerollData: { indices: [], rerolls: [] }, result: {} }).damage.constructor;
+}
+
+/**
+ * Rolls the damage the Disarm attack would have dealt through the system's DamageRoll: the test's
+ * damage (edits and shifted dice included) with the weapon damage and Extra Damage Disarm cleared
+ * put back, so the attacker's and weapon's damage scripts still apply.
+ */
+async function rollDisarmDamage(message, disarm) {
+  const DamageRoll = getDamageRollClass();
+  const test = message.system.test;
+  const damage = test.result?.damage ?? {};
+
+  const damageRoll = new DamageRoll({
+    damageData: foundry.utils.mergeObject(foundry.utils.deepClone(DamageRoll.DEFAULT_DAMAGE), {
+      ...damage,
+      damage: Number(disarm.damage ?? 0) + Number(damage.damage ?? 0),
+      ed: {
+        value: Number(disarm.ed?.value ?? 0) + Number(damage.ed?.value ?? 0),
+        dice: disarm.ed?.dice || damage.ed?.dice || 0
+      }
+    }, { inplace: false }),
+    context: {
+      title: test.context.title,
+      targets: test.context.targets,
+      speaker: test.context.speaker,
+      source: message.id,
+      itemId: test.testData.itemId
+    },
+    rerollData: { indices: [], rerolls: [] },
+    result: {}
+  });
+
+  // rollTest ends by posting the system's damage card; the Disarm prompt reports the damage instead.
+  damageRoll.sendToChat = async () => {};
+  await damageRoll.rollTest();
+
+  const { base, rolledValue, total } = damageRoll.result;
+  return { roll: damageRoll.roll, base, rolled: rolledValue, total };
+}
+
+/**
+ * Rolls the damage of a successful Disarm attack and posts a Strength test prompt for each
+ * target, at DN equal to half the total damage (rounded up).
+ */
+async function resolveDisarm(message) {
+  const disarm = getDisarmFlags(message);
+  if (!disarm || !message.system?.result?.isSuccess) return null;
+  if (findPrompts(message.id).length) {
+    ui.notifications?.warn(game.i18n.localize("WNGCE.Disarm.AlreadyResolved"));
+    return null;
+  }
+
+  const targets = resolveMessageTargets(message);
+  if (!targets.length) {
+    ui.notifications?.warn(game.i18n.localize("WNGCE.Disarm.NoTargets"));
+    return null;
+  }
+
+  const { roll, base, rolled, total } = await rollDisarmDamage(message, disarm);
+  const dn = Math.ceil(total / 2);
+  const attacker = ChatMessage.getSpeakerActor(message.system?.context?.speaker ?? message.speaker);
+
+  const prompts = [];
+  for (const target of targets) {
+    prompts.push(await ChatMessage.create({
+      content: `<p>${game.i18n.format("WNGCE.Disarm.Prompt", {
+        attacker: formatName(attacker),
+        target: formatName(target),
+        total,
+        base,
+        rolled,
+        dn
+      })}</p>`,
+      speaker: message.speaker,
+      // Only the first prompt carries the roll so Dice So Nice shows it once.
+      rolls: prompts.length ? [] : [roll],
+      flags: { [MODULE_ID]: { disarmPrompt: { source: message.id, target: target.uuid, dn, total } } }
+    }));
+  }
+
+  log("log", `Disarm by ${attacker?.name ?? "unknown"} dealt ${total} damage; Strength DN ${dn}`);
+  return prompts;
+}
+
+function getEquippedWeapons(actor) {
+  return actor?.itemTypes?.weapon?.filter?.((item) => item.system?.equipped) ?? [];
+}
+
+// Resolves to null when the dialog is closed without choosing.
+async function chooseEquippedWeapon(actor, weapons) {
+  const options = weapons
+    .map((item) => `<option value="${item.id}">${foundry.utils.escapeHTML(item.name)}</option>`)
+    .join("");
+
+  return Dialog.wait({
+    title: game.i18n.localize("WNGCE.Disarm.Label"),
+    content: `<p>${game.i18n.format("WNGCE.Disarm.ChooseWeapon", { name: formatName(actor) })}</p>
+      <div class="form-group"><select name="weapon">${options}</select></div>`,
+    buttons: {
+      confirm: {
+        icon: '<i class="fas fa-check"></i>',
+        label: game.i18n.localize("WNGCE.Disarm.Confirm"),
+        callback: (html) => actor.items.get($(html).find('select[name="weapon"]').val()) ?? weapons[0]
+      }
+    },
+    default: "confirm",
+    close: () => null,
+    rejectClose: false
+  });
+}
+
+function canDropAsPile() {
+  return Boolean(game.modules?.get("item-piles")?.active && game.itempiles?.API?.createItemPile);
+}
+
+// The weapon lands beside the token as an Item Piles pile; it is only removed once the pile exists.
+async function dropWeapon(weapon, tokenDocument) {
+  if (!game.settings.get(MODULE_ID, "disarmDropWeapon") || !canDropAsPile()) return false;
+  if (!tokenDocument?.parent || !(tokenDocument instanceof TokenDocument)) return false;
+
+  const itemData = weapon.toObject();
+  delete itemData._id;
+  foundry.utils.setProperty(itemData, "system.equipped", false);
+
+  const gridSize = tokenDocument.parent.grid?.size ?? canvas?.grid?.size ?? 100;
+  try {
+    await game.itempiles.API.createItemPile({
+      position: { x: tokenDocument.x + tokenDocument.width * gridSize, y: tokenDocument.y },
+      sceneId: tokenDocument.parent.id,
+      items: [itemData]
+    });
+  } catch (err) {
+    logError(`Failed to drop ${weapon.name} as an item pile`, err);
+    return false;
+  }
+
+  await weapon.delete();
+  return true;
+}
+
+/**
+ * The target's Strength test against a Disarm. On a failure the chosen equipped weapon is
+ * unequipped, or dropped beside the token when the world setting and Item Piles allow it.
+ */
+async function rollDisarmStrengthTest(promptMessage) {
+  const prompt = promptMessage.getFlag(MODULE_ID, "disarmPrompt");
+  if (!prompt || hasResult(promptMessage.id)) return null;
+
+  const target = fromUuidSync(prompt.target ?? "");
+  const actor = target?.actor ?? target;
+  if (!actor?.isOwner) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.Disarm.NotOwner", { name: target?.name ?? "" }));
+    return null;
+  }
+
+  // The weapon at stake is chosen before the roll, so closing the choice leaves the prompt unrolled.
+  const weapons = getEquippedWeapons(actor);
+  const atStake = weapons.length > 1 ? await chooseEquippedWeapon(actor, weapons) : weapons[0] ?? null;
+  if (weapons.length > 1 && !atStake) return null;
+
+  const test = await actor.setupAttributeTest("strength", {
+    appendTitle: ` - ${game.i18n.localize("WNGCE.Disarm.Label")}`,
+    fields: { difficulty: prompt.dn }
+  });
+  if (!test) return null;
+
+  const success = Boolean(test.result?.isSuccess);
+  const weapon = success ? null : atStake;
+  let dropped = false;
+  if (!success) {
+    if (weapon) {
+      await weapon.update({ "system.equipped": false });
+      dropped = await dropWeapon(weapon, target);
+    }
+  }
+
+  let key = "WNGCE.Disarm.Resisted";
+  if (!success) key = weapon ? (dropped ? "WNGCE.Disarm.Dropped" : "WNGCE.Disarm.Unequipped") : "WNGCE.Disarm.NoWeapon";
+
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format(key, {
+      name: formatName(target),
+      weapon: foundry.utils.escapeHTML(weapon?.name ?? "")
+    })}</p>`,
+    speaker: ChatMessage.getSpeaker({ actor, token: target instanceof TokenDocument ? target : undefined }),
+    flags: { [MODULE_ID]: { disarmResult: { prompt: promptMessage.id, success, weapon: weapon?.name ?? null, dropped } } }
+  });
+
+  log("log", `${target.name} ${success ? "resisted" : "failed to resist"} a Disarm`);
+  return { success, weapon, dropped };
+}
+
+function createButton(label, icon, onClick) {
+  const wrapper = document.createElement("div");
+  wrapper.classList.add("wrapper", "wngce-disarm");
+  const button = document.createElement("button");
+  button.type = "button";
+  button.innerHTML = `<i class="${icon}"></i> ${foundry.utils.escapeHTML(label)}`;
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    button.disabled = true;
+    const maybePromise = onClick();
+    if (maybePromise?.catch) {
+      maybePromise
+        .catch((err) => logError(`Failed to run ${label}`, err))
+        .finally(() => {
+          button.disabled = false;
+        });
+    }
+  });
+  wrapper.appendChild(button);
+  return wrapper;
+}
+
+function renderDisarmButtons(message, html) {
+  if (game.system?.id !== "wrath-and-glory") return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  const content = element?.querySelector(".message-content");
+  if (!content || content.querySelector(".wngce-disarm")) return;
+
+  if (getDisarmFlags(message) && message.system?.result?.isSuccess && message.isOwner && !findPrompts(message.id).length) {
+    content.appendChild(createButton(game.i18n.localize("WNGCE.Disarm.Resolve"), "fas fa-hand-holding", () => resolveDisarm(message)));
+    return;
+  }
+
+  const prompt = message.getFlag?.(MODULE_ID, "disarmPrompt");
+  if (prompt && !hasResult(message.id)) {
+    content.appendChild(createButton(
+      game.i18n.format("WNGCE.Disarm.RollStrength", { dn: prompt.dn }),
+      "fas fa-dice-d6",
+      () => rollDisarmStrengthTest(message)
+    ));
+  }
+}
+
+// The button on the attack or prompt card goes away once the next step has been posted.
+function refreshResolvedCards(message) {
+  const sourceId = message.getFlag?.(MODULE_ID, "disarmPrompt")?.source
+    ?? message.getFlag?.(MODULE_ID, "disarmResult")?.prompt;
+  const source = sourceId ? game.messages?.get?.(sourceId) : null;
+  if (source) ui.chat?.updateMessage?.(source);
+}
+
+export function registerDisarm() {
+  onRenderChatMessage(renderDisarmButtons);
+
+  Hooks.on("createChatMessage", refreshResolvedCards);
+}
@@ -0,0 +1,101 @@
+import { getModuleApi } from "./api.js";
+import { MODULE_ID } from "./constants.js";
+import { log } from "./logging.js";
+
+const GRAPH_FLAG = "engagement";
+const GRAPH_FLAG_PATH = `flags.${MODULE_ID}.${GRAPH_FLAG}`;
+
+function pairKey(pair) {
+  return pair.join("|");
+}
+
+// Each pair is stored with its ids sorted, so a pair reads the same from either side.
+function normalizePairs(pairs) {
+  const unique = new Map();
+  for (const pair of pairs ?? []) {
+    if (!Array.isArray(pair) || pair.length !== 2 || !pair[0] || !pair[1] || pair[0] === pair[1]) continue;
+    const sorted = [String(pair[0]), String(pair[1])].sort();
+    unique.set(pairKey(sorted), sorted);
+  }
+  return Array.from(unique.values()).sort((a, b) => pairKey(a).localeCompare(pairKey(b)));
+}
+
+function resolveTokenDocument(tokenLike) {
+  if (!tokenLike) return null;
+  if (typeof tokenLike === "string") {
+    return canvas?.scene?.tokens?.get?.(tokenLike) ?? (tokenLike.includes(".") ? fromUuidSync(tokenLike) : null);
+  }
+  const document = tokenLike.document ?? tokenLike;
+  return document?.documentName === "Token" ? document : null;
+}
+
+/**
+ * The engaged token pairs stored on the scene, as `[tokenId, tokenId]`. Only the primary GM
+ * writes them, from the same evaluation that applies the Engaged condition.
+ */
+export function getEngagementPairs(scene = canvas?.scene) {
+  const pairs = scene?.getFlag?.(MODULE_ID, GRAPH_FLAG);
+  return Array.isArray(pairs) ? pairs : [];
+}
+
+// The token documents the given token is Engaged with, on the token's own scene.
+export function getEngagedWith(tokenLike) {
+  const document = resolveTokenDocument(tokenLike);
+  const scene = document?.parent;
+  if (!document?.id || !scene) return [];
+
+  return getEngagementPairs(scene)
+    .filter((pair) => pair.includes(document.id))
+    .map((pair) => scene.tokens.get(pair[0] === document.id ? pair[1] : pair[0]))
+    .filter(Boolean);
+}
+
+export function areEngaged(tokenLikeA, tokenLikeB) {
+  const a = resolveTokenDocument(tokenLikeA);
+  const b = resolveTokenDocument(tokenLikeB);
+  if (!a?.id || !b?.id || a === b || a.parent !== b.parent) return false;
+
+  const key = pairKey([a.id, b.id].sort());
+  return getEngagementPairs(a.parent).some((pair) => pairKey(pair) === key);
+}
+
+/**
+ * Stores the scene's engaged pairs when they changed. The pairs that formed and broke travel in
+ * the update options so every client can pass them to the `engagementChanged` hook.
+ */
+export async function syncEngagementGraph(scene, pairs) {
+  if (!scene) return;
+
+  const next = normalizePairs(pairs);
+  const previous = normalizePairs(getEngagementPairs(scene));
+  const previousKeys = new Set(previous.map(pairKey));
+  const nextKeys = new Set(next.map(pairKey));
+
+  const engaged = next.filter((pair) => !previousKeys.has(pairKey(pair)));
+  const disengaged = previous.filter((pair) => !nextKeys.has(pairKey(pair)));
+  if (!engaged.length && !disengaged.length) return;
+
+  await scene.update({ [GRAPH_FLAG_PATH]: next }, { [MODULE_ID]: { engagementChanges: { engaged, disengaged } } });
+  log("log", `Engagement on ${scene.name}: ${engaged.length} pairs formed, ${disengaged.length} broken`);
+}
+
+function handleSceneUpdate(scene, changed, options) {
+  if (game.system?.id !== "wrath-and-glory") return;
+  if (!foundry.utils.hasProperty(changed ?? {}, GRAPH_FLAG_PATH)) return;
+
+  const changes = options?.[MODULE_ID]?.engagementChanges ?? {};
+  Hooks.callAll("engagementChanged", scene, {
+    pairs: getEngagementPairs(scene),
+    engaged: changes.engaged ?? [],
+    disengaged: changes.disengaged ?? []
+  });
+}
+
+export function registerEngagementGraph() {
+  Hooks.once("init", () => {
+    const api = getModuleApi();
+    api.engagement = { getEngagedWith, areEngaged, getPairs: getEngagementPairs };
+  });
+
+  Hooks.on("updateScene", handleSceneUpdate);
+}
@@ -4,11 +4,13 @@ import {
   ENGAGED_CONDITION_ID,
   MODULE_ID
 } from "./constants.js";
+import { syncEngagementGraph } from "./engagement-graph.js";
 import { logError } from "./logging.js";
 import {
-  collectEngagedTokenIds,
+  collectEngagedPairs,
   getCanvasMeasurementContext,
   getTokenDisposition,
+  measurePointDistance,
   tokenIsDefeated
 } from "./measurement.js";
 import { isActivePrimaryGM } from "./permissions.js";
@@ -94,10 +96,11 @@ async function evaluateEngagedConditions() {
   if (!tokensLayer) return;
 
   const placeables = Array.isArray(tokensLayer.placeables) ? tokensLayer.placeables : [];
-  if (!placeables.length) return;
-
   const tokensWithActors = placeables.filter((token) => token?.actor);
-  if (!tokensWithActors.length) return;
+  if (!tokensWithActors.length) {
+    await syncEngagementGraph(canvas.scene, []);
+    return;
+  }
 
   const actorMap = new Map();
   for (const token of tokensWithActors) {
@@ -126,7 +129,8 @@ async function evaluateEngagedConditions() {
   }
 
   const measurementContext = getCanvasMeasurementContext();
-  const engagedTokenIds = collectEngagedTokenIds(friendlyTokens, hostileTokens, measurementContext);
+  const engagedPairs = collectEngagedPairs(friendlyTokens, hostileTokens, measurementContext);
+  const engagedTokenIds = new Set(engagedPairs.flat());
 
   const engagedActorIds = new Set();
   if (engagedTokenIds.size) {
@@ -140,7 +144,7 @@ async function evaluateEngagedConditions() {
     }
   }
 
-  const operations = [];
+  const operations = [syncEngagementGraph(canvas.scene, engagedPairs)];
   for (const [actorId, actor] of actorMap.entries()) {
     const shouldBeEngaged = engagedActorIds.has(actorId);
     operations.push(syncEngagedCondition(actor, shouldBeEngaged));
@@ -179,6 +183,11 @@ function isActiveScene(sceneLike) {
   return targetSceneId === currentSceneId;
 }
 
+function getActiveSceneToken(actor) {
+  const tokens = typeof actor?.getActiveTokens === "function" ? actor.getActiveTokens(true) : [];
+  return tokens.find((token) => isActiveScene(token?.document?.parent ?? token?.scene)) ?? null;
+}
+
 function handleTokenChange(scene) {
   if (game.system?.id !== "wrath-and-glory") return;
   if (scene && !isActiveScene(scene)) return;
@@ -231,6 +240,22 @@ function handleActorUpdate(actor, changed) {
   requestEngagedEvaluation();
 }
 
+// Opening or closing a door changes who is Engaged when walls block engagement.
+function handleWallChange(wallDocument) {
+  if (game.system?.id !== "wrath-and-glory") return;
+  if (!game.settings.get(MODULE_ID, "wallsBlockEngagement")) return;
+  if (!isActiveScene(wallDocument?.parent)) return;
+  requestEngagedEvaluation();
+}
+
+const ENGAGEMENT_SETTING_KEYS = new Set([`${MODULE_ID}.wallsBlockEngagement`, `${MODULE_ID}.gridDiagonals`]);
+
+function handleSettingChange(setting) {
+  if (game.system?.id !== "wrath-and-glory") return;
+  if (!ENGAGEMENT_SETTING_KEYS.has(setting?.key)) return;
+  requestEngagedEvaluation();
+}
+
 function handleTokenRefresh(token) {
   if (game.system?.id !== "wrath-and-glory") return;
   if (!token) return;
@@ -241,6 +266,47 @@ function handleTokenRefresh(token) {
   requestEngagedEvaluation();
 }
 
+function isCurrentTurn(record, combat) {
+  return Boolean(record && combat)
+    && record.combatId === combat.id
+    && record.round === combat.round
+    && record.turn === combat.turn;
+}
+
+/**
+ * Distance in metres a token has moved during the current combat turn, or 0 outside combat.
+ */
+export function getTurnMovement(tokenLike) {
+  const tokenDocument = tokenLike?.document ?? tokenLike;
+  const record = tokenDocument?.getFlag?.(MODULE_ID, "turnMovement");
+  return isCurrentTurn(record, game.combat) ? Number(record.distance ?? 0) : 0;
+}
+
+// Runs on the client that moves the token, while the document still holds the old position, and
+// adds the move to the same update so every client sees the running total for this turn.
+function recordTurnMovement(tokenDocument, changed) {
+  if (game.system?.id !== "wrath-and-glory") return;
+  if (!changed || !("x" in changed || "y" in changed)) return;
+
+  const combat = game.combat;
+  if (!combat?.started || !tokenDocument?.inCombat || !isActiveScene(tokenDocument.parent)) return;
+
+  const origin = { x: tokenDocument.x ?? 0, y: tokenDocument.y ?? 0 };
+  const destination = { x: changed.x ?? origin.x, y: changed.y ?? origin.y };
+  const step = measurePointDistance(origin, destination, getCanvasMeasurementContext());
+  if (!Number.isFinite(step) || step <= 0) return;
+
+  const record = tokenDocument.getFlag(MODULE_ID, "turnMovement");
+  const previous = isCurrentTurn(record, combat) ? Number(record.distance ?? 0) : 0;
+
+  foundry.utils.setProperty(changed, `flags.${MODULE_ID}.turnMovement`, {
+    combatId: combat.id,
+    round: combat.round,
+    turn: combat.turn,
+    distance: previous + step
+  });
+}
+
 function registerEngagedStatusEffect() {
   if (game.system?.id !== "wrath-and-glory") return;
   if (!Array.isArray(CONFIG.statusEffects)) return;
@@ -281,6 +347,7 @@ export function registerEngagementAutomation() {
     requestEngagedEvaluation();
   });
 
+  Hooks.on("preUpdateToken", (tokenDocument, changed) => recordTurnMovement(tokenDocument, changed));
   Hooks.on("createToken", (scene) => handleTokenChange(scene));
   Hooks.on("updateToken", (scene) => handleTokenChange(scene));
   Hooks.on("deleteToken", (scene, tokenDocument) => {
@@ -290,6 +357,11 @@ export function registerEngagementAutomation() {
   Hooks.on("refreshToken", (token) => handleTokenRefresh(token));
 
   Hooks.on("updateActor", (actor, changed) => handleActorUpdate(actor, changed));
+  Hooks.on("createWall", (wallDocument) => handleWallChange(wallDocument));
+  Hooks.on("updateWall", (wallDocument) => handleWallChange(wallDocument));
+  Hooks.on("deleteWall", (wallDocument) => handleWallChange(wallDocument));
+  Hooks.on("createSetting", (setting) => handleSettingChange(setting));
+  Hooks.on("updateSetting", (setting) => handleSettingChange(setting));
 }
 
-export { isActiveScene };
+export { getActiveSceneToken, isActiveScene, requestEngagedEvaluation };
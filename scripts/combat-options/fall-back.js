@@ -0,0 +1,179 @@
+import { recordAction } from "./action-economy.js";
+import { getModuleApi } from "./api.js";
+import { MODULE_ID } from "./constants.js";
+import { getActiveSceneToken, getEngagedEffect, isActiveScene } from "./engagement.js";
+import { log, logError } from "./logging.js";
+import {
+  getCanvasMeasurementContext,
+  getTokenDisposition,
+  measureTokenEdgeDistance,
+  tokenIsDefeated,
+  tokensAreEngaged
+} from "./measurement.js";
+import { getOwnerRecipients } from "./permissions.js";
+
+// Measured directly rather than read from the engagement pairs: a token can fall back straight
+// after stepping in, before the primary GM has rewritten the pairs.
+function getEngagedEnemies(token, measurement) {
+  const disposition = getTokenDisposition(token);
+  if (!token || !disposition) return [];
+
+  return (canvas?.tokens?.placeables ?? []).filter((other) => {
+    if (!other?.actor || other === token) return false;
+    if (other.document?.hidden || tokenIsDefeated(other)) return false;
+    const otherDisposition = getTokenDisposition(other);
+    if (!otherDisposition || otherDisposition === disposition) return false;
+    return tokensAreEngaged(token, other, measurement) || tokensAreEngaged(other, token, measurement);
+  });
+}
+
+function formatTokenNames(tokens) {
+  return tokens
+    .map((token) => foundry.utils.escapeHTML(token?.name ?? game.i18n.localize("WNGCE.Common.UnknownActor")))
+    .join(", ");
+}
+
+/**
+ * Falls back from close combat: records the enemies the actor is Engaged with on its combatant so
+ * where it ends the turn can be checked against half its Speed from each of them.
+ */
+export async function performFallBack(actor) {
+  if (!actor || game.system?.id !== "wrath-and-glory") return null;
+
+  if (!getEngagedEffect(actor)) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.FallBack.NotEngaged", { name: actor.name }));
+    return null;
+  }
+
+  const token = getActiveSceneToken(actor);
+  const combatant = token?.document?.combatant ?? null;
+  if (!combatant) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.FallBack.NotInCombat", { name: actor.name }));
+    return null;
+  }
+
+  const enemies = getEngagedEnemies(token, getCanvasMeasurementContext());
+  const fallBack = {
+    tokenId: token.id,
+    enemies: enemies.map((enemy) => enemy.id)
+  };
+
+  try {
+    await combatant.setFlag(MODULE_ID, "fallBack", fallBack);
+  } catch (err) {
+    logError(`Failed to mark ${actor.name} as falling back`, err);
+    return null;
+  }
+
+  await recordAction(actor, { type: "combat", source: "fallBack" });
+
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format("WNGCE.FallBack.ChatApplied", {
+      name: foundry.utils.escapeHTML(actor.name ?? ""),
+      enemies: formatTokenNames(enemies) || game.i18n.localize("WNGCE.Common.UnknownActor")
+    })}</p>`,
+    speaker: ChatMessage.getSpeaker({ actor, token: token.document }),
+    flags: { [MODULE_ID]: { fallBack: true } }
+  });
+
+  log("log", `${actor.name} falls back from ${enemies.length} engaged enemies`);
+  return fallBack;
+}
+
+/**
+ * The rules ask for at least half Speed from each enemy, or as far as the environment allows.
+ * Checked once the turn is over, so a retreat made in several moves is judged where it ended.
+ */
+async function checkFallBackDistance(combatant, fallBack) {
+  if (!isActiveScene(combatant.token?.parent)) return;
+  const token = canvas.tokens?.get?.(fallBack.tokenId);
+  if (!token) return;
+
+  const actor = token.actor;
+  const speed = Number(actor?.system?.combat?.speed ?? 0);
+  const required = Math.max(0, speed / 2);
+  const measurement = getCanvasMeasurementContext();
+
+  const tooClose = [];
+  for (const enemyId of fallBack.enemies ?? []) {
+    const enemy = canvas.tokens?.get?.(enemyId);
+    if (!enemy) continue;
+    const distance = measureTokenEdgeDistance(token, enemy, measurement);
+    if (Number.isFinite(distance) && distance < required) {
+      tooClose.push({ enemy, distance });
+    }
+  }
+
+  if (!tooClose.length) return;
+
+  const lines = tooClose.map(({ enemy, distance }) => `<li>${game.i18n.format("WNGCE.FallBack.TooCloseLine", {
+    enemy: formatTokenNames([enemy]),
+    distance: Math.round(distance * 10) / 10
+  })}</li>`).join("");
+
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format("WNGCE.FallBack.TooClose", {
+      name: foundry.utils.escapeHTML(token.name ?? ""),
+      required: Math.round(required * 10) / 10
+    })}</p><ul>${lines}</ul>`,
+    speaker: ChatMessage.getSpeaker({ actor, token: token.document }),
+    whisper: getOwnerRecipients(actor),
+    flags: { [MODULE_ID]: { fallBackWarning: true } }
+  });
+}
+
+// Falling back only covers the turn it was declared in.
+export async function clearFallBack(combat) {
+  const previousId = combat?.previous?.combatantId;
+  if (!previousId || previousId === combat.combatant?.id) return;
+
+  const combatant = combat.combatants?.get?.(previousId);
+  const fallBack = combatant?.getFlag?.(MODULE_ID, "fallBack");
+  if (!fallBack) return;
+
+  try {
+    await checkFallBackDistance(combatant, fallBack);
+  } catch (err) {
+    logError("Failed to check the Fall Back distance", err);
+  }
+
+  try {
+    await combatant.unsetFlag(MODULE_ID, "fallBack");
+  } catch (err) {
+    logError("Failed to clear Fall Back flag", err);
+  }
+}
+
+function injectTokenHudButton(hud, html) {
+  const actor = hud?.object?.actor ?? null;
+  if (!actor?.isOwner || game.system?.id !== "wrath-and-glory") return;
+  if (!getEngagedEffect(actor)) return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  const column = element?.querySelector?.(".col.right");
+  if (!column || column.querySelector(".wngce-fall-back")) return;
+
+  const button = document.createElement("div");
+  button.classList.add("control-icon", "wngce-fall-back");
+  button.dataset.tooltip = game.i18n.localize("WNGCE.FallBack.Label");
+  if (hud.object.document?.combatant?.getFlag?.(MODULE_ID, "fallBack")) button.classList.add("active");
+  button.innerHTML = '<i class="fas fa-person-running"></i>';
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    const maybePromise = performFallBack(actor);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to fall back", err));
+    }
+  });
+
+  column.appendChild(button);
+}
+
+export function registerFallBack() {
+  Hooks.once("init", () => {
+    const api = getModuleApi();
+    api.fallBack = performFallBack;
+  });
+
+  Hooks.on("renderTokenHUD", injectTokenHudButton);
+}
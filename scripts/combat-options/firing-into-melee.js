@@ -0,0 +1,139 @@
+import { onRenderChatMessage } from "./chat-hooks.js";
+import { MODULE_ID } from "./constants.js";
+import { log, logError } from "./logging.js";
+import { isActivePrimaryGM } from "./permissions.js";
+
+function getFiringIntoMeleeFlags(message) {
+  if (message?.type !== "test") return null;
+  return message.system?.context?.flags?.combatExtender?.firingIntoMelee ?? null;
+}
+
+function formatName(document) {
+  return foundry.utils.escapeHTML(document?.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"));
+}
+
+function isSameTarget(speaker, tokenDocument) {
+  return speaker?.token === tokenDocument?.id && (!speaker?.scene || speaker.scene === tokenDocument?.parent?.id);
+}
+
+/**
+ * When the world setting is on, a missed shot at a target Engaged with the attacker's allies
+ * strikes one of those allies instead, picked with a die roll. The ally takes the target's place
+ * on the test so its damage goes to them.
+ */
+async function resolveStrayShot(message) {
+  if (!isActivePrimaryGM()) return;
+  if (game.system?.id !== "wrath-and-glory") return;
+  if (!game.settings.get(MODULE_ID, "firingIntoMeleeStrayShots")) return;
+
+  const firingIntoMelee = getFiringIntoMeleeFlags(message);
+  if (!firingIntoMelee?.targets?.length) return;
+  if (message.system?.result?.isSuccess) return;
+  if (message.getFlag?.(MODULE_ID, "strayShotResolved")) return;
+
+  await message.setFlag(MODULE_ID, "strayShotResolved", true);
+
+  const targets = foundry.utils.deepClone(message.system?.context?.targets ?? []);
+  let retargeted = false;
+
+  for (const entry of firingIntoMelee.targets) {
+    const target = fromUuidSync(entry.token ?? "");
+    const allies = (entry.engagedWith ?? []).map((uuid) => fromUuidSync(uuid)).filter(Boolean);
+    if (!allies.length) continue;
+
+    const roll = await new Roll(`1d${allies.length}`).evaluate();
+    const struck = allies[roll.total - 1] ?? allies[0];
+
+    const index = targets.findIndex((speaker) => isSameTarget(speaker, target));
+    const speakerData = struck.actor?.speakerData?.(struck);
+    if (index >= 0 && speakerData) {
+      targets[index] = speakerData;
+      retargeted = true;
+    }
+
+    await ChatMessage.create({
+      content: `<p>${game.i18n.format("WNGCE.FiringIntoMelee.StrayShot", {
+        target: formatName(target),
+        struck: formatName(struck)
+      })}</p>`,
+      speaker: message.speaker,
+      rolls: [roll],
+      flags: { [MODULE_ID]: { strayShot: true, source: message.id, struck: struck.uuid } }
+    });
+
+    log("log", `Stray shot at ${target?.name ?? "unknown"} strikes ${struck.name}`);
+  }
+
+  if (retargeted) await message.update({ "system.context.targets": targets });
+}
+
+/**
+ * Rolls the missed attack's damage through the system's damage card, whose Apply Damage button
+ * then goes to the allies the stray shots struck.
+ */
+async function rollStrayShotDamage(strayMessage) {
+  const source = game.messages?.get?.(strayMessage.getFlag(MODULE_ID, "source"));
+  const test = source?.system?.test;
+  if (!test) {
+    ui.notifications?.warn(game.i18n.localize("WNGCE.FiringIntoMelee.NoSource"));
+    return;
+  }
+  if (test.result?.damageRoll) {
+    ui.notifications?.warn(game.i18n.localize("WNGCE.FiringIntoMelee.AlreadyRolled"));
+    return;
+  }
+
+  // The system only works out damage for hits.
+  if (!test.result.damage) test.computeDamage();
+  if (!test.result.damage) {
+    ui.notifications?.warn(game.i18n.localize("WNGCE.FiringIntoMelee.NoDamage"));
+    return;
+  }
+
+  await test.rollDamage();
+  await strayMessage.setFlag(MODULE_ID, "damageRolled", true);
+}
+
+function renderStrayShotButton(message, html) {
+  if (game.system?.id !== "wrath-and-glory" || !game.user?.isGM) return;
+  if (!message.getFlag?.(MODULE_ID, "strayShot") || message.getFlag(MODULE_ID, "damageRolled")) return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  const content = element?.querySelector(".message-content");
+  if (!content || content.querySelector(".wngce-stray-shot")) return;
+
+  const source = game.messages?.get?.(message.getFlag(MODULE_ID, "source"));
+  if (!source || source.system?.result?.damageRoll) return;
+
+  const struck = fromUuidSync(message.getFlag(MODULE_ID, "struck") ?? "");
+  const wrapper = document.createElement("div");
+  wrapper.classList.add("wrapper", "wngce-stray-shot");
+  const button = document.createElement("button");
+  button.type = "button";
+  button.innerHTML = `<i class="fas fa-burst"></i> ${game.i18n.format("WNGCE.FiringIntoMelee.RollDamage", { struck: formatName(struck) })}`;
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    button.disabled = true;
+    const maybePromise = rollStrayShotDamage(message);
+    if (maybePromise?.catch) {
+      maybePromise
+        .catch((err) => logError("Failed to roll stray shot damage", err))
+        .finally(() => {
+          button.disabled = false;
+        });
+    }
+  });
+  wrapper.appendChild(button);
+  content.appendChild(wrapper);
+}
+
+export function registerFiringIntoMelee() {
+  onRenderChatMessage(renderStrayShotButton);
+
+  Hooks.on("createChatMessage", (message) => {
+    const maybePromise = resolveStrayShot(message);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to resolve stray shot", err));
+    }
+  });
+}
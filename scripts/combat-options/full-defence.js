@@ -0,0 +1,188 @@
+import { recordAction } from "./action-economy.js";
+import { getModuleApi } from "./api.js";
+import { getActorCombatant } from "./combatants.js";
+import {
+  FULL_DEFENCE_CONDITION_ID,
+  FULL_DEFENCE_FLAG_SOURCE,
+  FULL_DEFENCE_ICON,
+  MODULE_ID
+} from "./constants.js";
+import { log, logError } from "./logging.js";
+
+function getFullDefenceEffects(actor) {
+  return actor?.effects?.filter?.((effect) => effect?.getFlag?.(MODULE_ID, "source") === FULL_DEFENCE_FLAG_SOURCE) ?? [];
+}
+
+function getSpeaker(actor) {
+  const token = actor?.getActiveTokens?.()?.[0] ?? null;
+  return ChatMessage.getSpeaker({ actor, token: token?.document ?? undefined });
+}
+
+/**
+ * Takes the Full Defence action: rolls Initiative, then raises Defence by 1 plus 1 per icon and
+ * halves Speed until the end of the actor's turn. As a Reflexive Action the combatant is flagged
+ * so its next turn starts with a reminder that it can't move or take Combat or Simple Actions.
+ */
+export async function performFullDefence(actor, { reflexive = false } = {}) {
+  if (!actor || game.system?.id !== "wrath-and-glory") return null;
+
+  if (getFullDefenceEffects(actor).length) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.FullDefence.AlreadyActive", { name: actor.name }));
+    return null;
+  }
+
+  const label = game.i18n.localize("WNGCE.FullDefence.Label");
+  let test;
+  try {
+    test = await actor.setupAttributeTest("initiative", { appendTitle: ` - ${label}` });
+  } catch (err) {
+    logError(`Failed to roll Full Defence Initiative for ${actor.name}`, err);
+    return null;
+  }
+  if (!test) return null;
+
+  const icons = Math.max(0, Number(test.result?.success ?? 0));
+  const bonus = 1 + icons;
+
+  let effect;
+  try {
+    [effect] = await actor.createEmbeddedDocuments("ActiveEffect", [{
+      name: `${label} (+${bonus})`,
+      img: FULL_DEFENCE_ICON,
+      statuses: [FULL_DEFENCE_CONDITION_ID],
+      changes: [
+        { key: "system.combat.defence.bonus", mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: bonus },
+        { key: "system.combat.speed", mode: CONST.ACTIVE_EFFECT_MODES.MULTIPLY, value: 0.5 }
+      ],
+      flags: {
+        [MODULE_ID]: {
+          source: FULL_DEFENCE_FLAG_SOURCE,
+          reflexive: Boolean(reflexive),
+          bonus
+        }
+      }
+    }]);
+  } catch (err) {
+    logError(`Failed to apply Full Defence to ${actor.name}`, err);
+    return null;
+  }
+
+  await recordAction(actor, { type: reflexive ? "reflexive" : "fullRound", source: "fullDefence" });
+
+  if (reflexive) {
+    const combatant = getActorCombatant(actor, { requireStarted: false });
+    try {
+      await combatant?.setFlag(MODULE_ID, "fullDefenceReflexive", true);
+    } catch (err) {
+      logError(`Failed to flag ${actor.name} for Reflexive Full Defence`, err);
+    }
+  }
+
+  const name = foundry.utils.escapeHTML(actor.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"));
+  const key = reflexive ? "WNGCE.FullDefence.ChatReflexive" : "WNGCE.FullDefence.ChatApplied";
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format(key, { name, bonus })}</p>`,
+    speaker: getSpeaker(actor),
+    flags: { [MODULE_ID]: { fullDefence: true, reflexive: Boolean(reflexive), bonus } }
+  });
+
+  log("log", `${actor.name} took Full Defence (+${bonus} Defence${reflexive ? ", Reflexive" : ""})`);
+  return effect ?? null;
+}
+
+export async function promptFullDefence(actor) {
+  if (!actor) return null;
+
+  const choice = await Dialog.wait({
+    title: game.i18n.localize("WNGCE.FullDefence.Label"),
+    content: `<p>${game.i18n.localize("WNGCE.FullDefence.DialogBody")}</p>`,
+    buttons: {
+      fullRound: {
+        icon: '<i class="fas fa-shield-halved"></i>',
+        label: game.i18n.localize("WNGCE.FullDefence.FullRound"),
+        callback: () => "fullRound"
+      },
+      reflexive: {
+        icon: '<i class="fas fa-bolt"></i>',
+        label: game.i18n.localize("WNGCE.FullDefence.Reflexive"),
+        callback: () => "reflexive"
+      }
+    },
+    default: "fullRound",
+    close: () => null,
+    rejectClose: false
+  });
+
+  if (!choice) return null;
+  return performFullDefence(actor, { reflexive: choice === "reflexive" });
+}
+
+// Full Defence lasts until the end of the actor's turn; a Reflexive use carries over to its next turn end.
+export async function expireFullDefence(combat) {
+  const previousId = combat?.previous?.combatantId;
+  if (!previousId || previousId === combat.combatant?.id) return;
+
+  await removeFullDefenceFromActor(combat.combatants?.get?.(previousId)?.actor);
+}
+
+export async function removeFullDefenceFromActor(actor) {
+  for (const effect of getFullDefenceEffects(actor)) {
+    try {
+      await effect.delete();
+    } catch (err) {
+      logError(`Failed to remove Full Defence from ${actor.name}`, err);
+    }
+  }
+}
+
+export async function announceReflexiveFullDefence(combat) {
+  const combatant = combat?.combatant;
+  if (!combatant?.getFlag?.(MODULE_ID, "fullDefenceReflexive")) return;
+
+  try {
+    await combatant.unsetFlag(MODULE_ID, "fullDefenceReflexive");
+  } catch (err) {
+    logError("Failed to clear Reflexive Full Defence flag", err);
+  }
+
+  const actor = combatant.actor;
+  const name = foundry.utils.escapeHTML(actor?.name ?? combatant.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"));
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format("WNGCE.FullDefence.ReflexiveReminder", { name })}</p>`,
+    speaker: getSpeaker(actor),
+    flags: { [MODULE_ID]: { fullDefenceReminder: true } }
+  });
+}
+
+function injectTokenHudButton(hud, html) {
+  const actor = hud?.object?.actor ?? null;
+  if (!actor?.isOwner || game.system?.id !== "wrath-and-glory") return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  const column = element?.querySelector?.(".col.right");
+  if (!column || column.querySelector(".wngce-full-defence")) return;
+
+  const button = document.createElement("div");
+  button.classList.add("control-icon", "wngce-full-defence");
+  button.dataset.tooltip = game.i18n.localize("WNGCE.FullDefence.Label");
+  if (getFullDefenceEffects(actor).length) button.classList.add("active");
+  button.innerHTML = `<img src="${FULL_DEFENCE_ICON}" width="36" height="36" alt="" />`;
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    const maybePromise = promptFullDefence(actor);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to take Full Defence", err));
+    }
+  });
+
+  column.appendChild(button);
+}
+
+export function registerFullDefence() {
+  Hooks.once("init", () => {
+    const api = getModuleApi();
+    api.fullDefence = performFullDefence;
+  });
+
+  Hooks.on("renderTokenHUD", injectTokenHudButton);
+}
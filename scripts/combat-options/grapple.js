@@ -0,0 +1,245 @@
+import { contestedRoll } from "../contested-roll.js";
+import { getModuleApi } from "./api.js";
+import {
+  DEFAULT_ARM_COUNT,
+  GRAPPLE_FLAG_SOURCE,
+  MODULE_ID,
+  RESTRAINED_CONDITION_ID,
+  SIZE_ENGAGEMENT_SEQUENCE
+} from "./constants.js";
+import { getActiveSceneToken, getEngagedEffect } from "./engagement.js";
+import { log, logError } from "./logging.js";
+import {
+  getCanvasMeasurementContext,
+  getTokenCombatSize,
+  tokensAreEngaged
+} from "./measurement.js";
+import { isActivePrimaryGM } from "./permissions.js";
+
+const STRENGTH_TRAIT = "attribute:strength";
+
+function getArmCount(actor) {
+  const arms = Number(actor?.getFlag?.(MODULE_ID, "arms"));
+  return Number.isFinite(arms) && arms >= 0 ? Math.floor(arms) : DEFAULT_ARM_COUNT;
+}
+
+// A target gains +2 bonus dice for every size category it is larger than the actor.
+function getSizeBonusDice(actorToken, opposingToken) {
+  const actorIndex = SIZE_ENGAGEMENT_SEQUENCE.indexOf(getTokenCombatSize(actorToken));
+  const opposingIndex = SIZE_ENGAGEMENT_SEQUENCE.indexOf(getTokenCombatSize(opposingToken));
+  if (actorIndex < 0 || opposingIndex < 0) return 0;
+  return Math.max(0, opposingIndex - actorIndex) * 2;
+}
+
+function getGrappleEffect(actor) {
+  return actor?.effects?.find?.((effect) => effect?.getFlag?.(MODULE_ID, "source") === GRAPPLE_FLAG_SOURCE) ?? null;
+}
+
+function formatName(tokenOrActor) {
+  return foundry.utils.escapeHTML(tokenOrActor?.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"));
+}
+
+function runOpposedStrengthTest(actorToken, opposingToken, grapple) {
+  return contestedRoll({
+    attacker: `token:${actorToken.document.uuid}`,
+    defender: `token:${opposingToken.document.uuid}`,
+    attackerTrait: STRENGTH_TRAIT,
+    defenderTrait: STRENGTH_TRAIT,
+    attackerBonus: 0,
+    defenderBonus: getSizeBonusDice(actorToken, opposingToken),
+    attackerWrath: 0,
+    defenderWrath: 0,
+    initiator: "attacker",
+    flags: { grapple }
+  });
+}
+
+/**
+ * Grapples every target the actor is Engaged with, one opposed Strength test per target.
+ * A Multi-Attack grapple can't include more targets than the actor has arms.
+ */
+export async function grapple(actor, targets = Array.from(game.user?.targets ?? [])) {
+  if (!actor || game.system?.id !== "wrath-and-glory") return [];
+
+  const actorToken = getActiveSceneToken(actor);
+  if (!actorToken) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.Grapple.NoToken", { name: actor.name }));
+    return [];
+  }
+
+  const targetTokens = targets.map((target) => target?.object ?? target).filter((token) => token?.document && token !== actorToken);
+  if (!targetTokens.length) {
+    ui.notifications?.warn(game.i18n.localize("WNGCE.Grapple.NoTargets"));
+    return [];
+  }
+
+  const arms = getArmCount(actor);
+  if (targetTokens.length > arms) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.Grapple.TooManyTargets", { name: actor.name, arms }));
+    return [];
+  }
+
+  const measurement = getCanvasMeasurementContext();
+  const notEngaged = targetTokens.filter((token) => (
+    !tokensAreEngaged(actorToken, token, measurement) && !tokensAreEngaged(token, actorToken, measurement)
+  ));
+  if (notEngaged.length) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.Grapple.NotEngaged", {
+      name: actor.name,
+      targets: notEngaged.map((token) => token.name).join(", ")
+    }));
+    return [];
+  }
+
+  const results = [];
+  for (const targetToken of targetTokens) {
+    const result = await runOpposedStrengthTest(actorToken, targetToken, {
+      action: "grapple",
+      grappler: actorToken.document.uuid,
+      grappled: targetToken.document.uuid
+    });
+    if (!result) break;
+    results.push({ target: targetToken, success: result.winner === "attacker" });
+  }
+
+  return results;
+}
+
+/**
+ * Attempts to break free of a grapple with an opposed Strength test against the grappler.
+ */
+export async function breakFree(actor) {
+  if (!actor || game.system?.id !== "wrath-and-glory") return null;
+
+  const effect = getGrappleEffect(actor);
+  const grapplerDocument = effect ? fromUuidSync(effect.getFlag(MODULE_ID, "grappledBy") ?? "") : null;
+  const actorToken = getActiveSceneToken(actor);
+  const grapplerToken = grapplerDocument?.object ?? null;
+
+  if (!effect || !actorToken || !grapplerToken) {
+    ui.notifications?.warn(game.i18n.format("WNGCE.Grapple.NotGrappled", { name: actor.name }));
+    return null;
+  }
+
+  const result = await runOpposedStrengthTest(actorToken, grapplerToken, {
+    action: "breakFree",
+    grappler: grapplerDocument.uuid,
+    grappled: actorToken.document.uuid
+  });
+  if (!result) return null;
+  return { success: result.winner === "attacker" };
+}
+
+async function linkGrapple(grapplerDocument, grappledDocument) {
+  const grappledActor = grappledDocument?.actor;
+  const grapplerActor = grapplerDocument?.actor;
+  if (!grappledActor || !grapplerActor) return false;
+
+  const grapplerFlags = { source: GRAPPLE_FLAG_SOURCE, grappledBy: grapplerDocument.uuid };
+  const existing = getGrappleEffect(grappledActor);
+  if (existing) {
+    await existing.update({ [`flags.${MODULE_ID}`]: grapplerFlags });
+  } else {
+    await grappledActor.addCondition(RESTRAINED_CONDITION_ID, { flags: { [MODULE_ID]: grapplerFlags } });
+  }
+
+  const grappling = new Set(grapplerActor.getFlag(MODULE_ID, "grappling") ?? []);
+  grappling.add(grappledDocument.uuid);
+  await grapplerActor.setFlag(MODULE_ID, "grappling", Array.from(grappling));
+  return true;
+}
+
+async function unlinkGrapple(grapplerDocument, grappledDocument) {
+  const grappledActor = grappledDocument?.actor;
+  await getGrappleEffect(grappledActor)?.delete();
+
+  const grapplerActor = grapplerDocument?.actor;
+  if (!grapplerActor) return;
+  const grappling = (grapplerActor.getFlag(MODULE_ID, "grappling") ?? []).filter((uuid) => uuid !== grappledDocument?.uuid);
+  await grapplerActor.setFlag(MODULE_ID, "grappling", grappling);
+}
+
+// The primary GM applies the outcome so players can grapple actors they don't own.
+async function resolveGrappleMessage(message) {
+  if (!isActivePrimaryGM()) return;
+
+  const data = message?.getFlag?.(MODULE_ID, "grapple");
+  if (!data || message.getFlag(MODULE_ID, "grappleResolved")) return;
+  await message.setFlag(MODULE_ID, "grappleResolved", true);
+
+  if (message.getFlag(MODULE_ID, "winner") !== "attacker") return;
+
+  const grapplerDocument = fromUuidSync(data.grappler ?? "");
+  const grappledDocument = fromUuidSync(data.grappled ?? "");
+  if (!grapplerDocument || !grappledDocument) return;
+
+  let key;
+  if (data.action === "grapple") {
+    if (!(await linkGrapple(grapplerDocument, grappledDocument))) return;
+    key = "WNGCE.Grapple.ChatGrappled";
+  } else if (data.action === "breakFree") {
+    await unlinkGrapple(grapplerDocument, grappledDocument);
+    key = "WNGCE.Grapple.ChatBrokeFree";
+  } else {
+    return;
+  }
+
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format(key, {
+      grappler: formatName(grapplerDocument),
+      grappled: formatName(grappledDocument)
+    })}</p>`,
+    speaker: message.speaker,
+    flags: { [MODULE_ID]: { grappleResult: true, source: message.id } }
+  });
+
+  log("log", `${data.action} resolved between ${grapplerDocument.name} and ${grappledDocument.name}`);
+}
+
+function createHudButton(cssClass, tooltip, icon, onClick) {
+  const button = document.createElement("div");
+  button.classList.add("control-icon", cssClass);
+  button.dataset.tooltip = tooltip;
+  button.innerHTML = `<i class="${icon}"></i>`;
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    const maybePromise = onClick();
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError(`Failed to run ${tooltip}`, err));
+    }
+  });
+  return button;
+}
+
+function injectTokenHudButtons(hud, html) {
+  const actor = hud?.object?.actor ?? null;
+  if (!actor?.isOwner || game.system?.id !== "wrath-and-glory") return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  const column = element?.querySelector?.(".col.right");
+  if (!column) return;
+
+  if (getEngagedEffect(actor) && !column.querySelector(".wngce-grapple")) {
+    column.appendChild(createHudButton("wngce-grapple", game.i18n.localize("WNGCE.Grapple.Label"), "fas fa-hand-fist", () => grapple(actor)));
+  }
+
+  if (getGrappleEffect(actor) && !column.querySelector(".wngce-break-free")) {
+    column.appendChild(createHudButton("wngce-break-free", game.i18n.localize("WNGCE.Grapple.BreakFree"), "fas fa-link-slash", () => breakFree(actor)));
+  }
+}
+
+export function registerGrapple() {
+  Hooks.once("init", () => {
+    const api = getModuleApi();
+    api.grapple = grapple;
+    api.breakFree = breakFree;
+  });
+
+  Hooks.on("renderTokenHUD", injectTokenHudButtons);
+  Hooks.on("createChatMessage", (message) => {
+    const maybePromise = resolveGrappleMessage(message);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to resolve grapple", err));
+    }
+  });
+}
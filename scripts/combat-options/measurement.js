@@ -1,5 +1,7 @@
 import {
   COVER_DIFFICULTY_VALUES,
+  COVER_STATUS_IDS,
+  MODULE_ID,
   SIZE_AVERAGE_INDEX,
   SIZE_ENGAGEMENT_SEQUENCE,
   SIZE_MODIFIER_OPTIONS,
@@ -45,9 +47,105 @@ export function getCoverLabel(value) {
   return null;
 }
 
+function actorHasStatusEffect(actor, statusId) {
+  if (!actor || !statusId) return false;
+  if (actor.statuses?.has?.(statusId)) return true;
+  if (typeof actor.hasCondition === "function") return Boolean(actor.hasCondition(statusId));
+  return false;
+}
+
+export function getActorCover(actor) {
+  if (!actor) return "";
+  if (actorHasStatusEffect(actor, COVER_STATUS_IDS.full)) return "full";
+  if (actorHasStatusEffect(actor, COVER_STATUS_IDS.half)) return "half";
+  return "";
+}
+
+const WALL_COVER_SAMPLE_FRACTIONS = [0.1, 0.5, 0.9];
+
+function getTokenSamplePoints(token) {
+  const document = token?.document ?? token;
+  const gridSize = Number(canvas?.grid?.size ?? canvas?.scene?.dimensions?.size);
+  const x = Number(document?.x);
+  const y = Number(document?.y);
+  const width = Number(token?.w ?? (Number(document?.width) * gridSize));
+  const height = Number(token?.h ?? (Number(document?.height) * gridSize));
+  if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) return [];
+
+  const points = [];
+  for (const fx of WALL_COVER_SAMPLE_FRACTIONS) {
+    for (const fy of WALL_COVER_SAMPLE_FRACTIONS) {
+      points.push({ x: x + (width * fx), y: y + (height * fy) });
+    }
+  }
+  return points;
+}
+
+/**
+ * Estimates cover by casting rays from the attacker's centre to points spread across the
+ * target's footprint. Fewer than half the rays blocked by sight-blocking walls is Half cover,
+ * half or more is Full cover.
+ */
+export function measureWallCover(attackerToken, targetToken) {
+  const backend = CONFIG?.Canvas?.polygonBackends?.sight;
+  if (!attackerToken || !targetToken || typeof backend?.testCollision !== "function") return null;
+
+  const origin = attackerToken.center;
+  if (!Number.isFinite(origin?.x) || !Number.isFinite(origin?.y)) return null;
+
+  const points = getTokenSamplePoints(targetToken);
+  if (!points.length) return null;
+
+  let blocked = 0;
+  for (const point of points) {
+    if (backend.testCollision(origin, point, { type: "sight", mode: "any" })) blocked++;
+  }
+
+  const total = points.length;
+  let cover = "";
+  if (blocked > 0) {
+    cover = (blocked * 2) < total ? "half" : "full";
+  }
+
+  return { cover, blocked, total };
+}
+
+function readReachFlag(document) {
+  const reach = Number(document?.getFlag?.(MODULE_ID, "reach"));
+  return Number.isFinite(reach) && reach > 0 ? reach : null;
+}
+
+// The longest reach set on the weapon sheet of a melee weapon the actor has equipped.
+function getEquippedWeaponReach(actor) {
+  let longest = null;
+  for (const weapon of actor?.itemTypes?.weapon ?? []) {
+    if (!weapon.system?.equipped || !weapon.system?.isMelee) continue;
+    const reach = readReachFlag(weapon);
+    if (reach !== null && (!longest || reach > longest.reach)) longest = { reach, name: weapon.name };
+  }
+  return longest;
+}
+
+/**
+ * How far a token engages: the range its size gives, unless the actor's
+ * `flags.wng-CombatExtender.reach` (set directly or through an Active Effect) or an equipped
+ * melee weapon's reach is longer.
+ */
+export function getTokenReach(token) {
+  const actor = token?.actor ?? token?.document?.actor ?? null;
+  const size = getEngagementRangeForSize(getTokenCombatSize(token));
+  const creature = readReachFlag(actor);
+  const weapon = getEquippedWeaponReach(actor);
+  return {
+    range: Math.max(size, creature ?? 0, weapon?.reach ?? 0),
+    size,
+    creature,
+    weapon
+  };
+}
+
 export function getTokenEngagementRange(token) {
-  const size = getTokenCombatSize(token);
-  return getEngagementRangeForSize(size);
+  return getTokenReach(token).range;
 }
 
 export function getTokenDisposition(token) {
@@ -63,76 +161,246 @@ export function tokenIsDefeated(token) {
   return Boolean(actor?.hasCondition?.("defeated"));
 }
 
+// Maps the diagonal measurement setting onto Foundry's CONST.GRID_DIAGONALS; "scene" keeps the scene's own rule.
+const DIAGONAL_RULE_KEYS = {
+  equidistant: "EQUIDISTANT",
+  alternating: "ALTERNATING_1",
+  exact: "EXACT"
+};
+
+let cachedSquareGrid = null;
+
+/**
+ * The grid engagement and range are measured on: the canvas grid, or a copy of a square grid
+ * using the diagonal rule picked in the module settings.
+ */
+function getMeasurementGrid() {
+  const grid = canvas?.grid ?? null;
+  if (!grid?.isSquare) return grid;
+
+  const diagonals = CONST.GRID_DIAGONALS?.[DIAGONAL_RULE_KEYS[game.settings.get(MODULE_ID, "gridDiagonals")]];
+  if (diagonals === undefined || diagonals === grid.diagonals) return grid;
+
+  const key = `${grid.size}|${grid.distance}|${diagonals}`;
+  if (cachedSquareGrid?.key === key) return cachedSquareGrid.grid;
+
+  try {
+    const squareGrid = new foundry.grid.SquareGrid({ size: grid.size, distance: grid.distance, units: grid.units, diagonals });
+    cachedSquareGrid = { key, grid: squareGrid };
+    return squareGrid;
+  } catch (err) {
+    return grid;
+  }
+}
+
+function isGridded(grid) {
+  return Boolean(grid) && !grid.isGridless && typeof grid.getCenterPoint === "function" && typeof grid.getOffset === "function";
+}
+
+function getTokenBounds(token, measurement) {
+  const document = token?.document ?? token;
+  const gridSize = Number(measurement?.bucketSizePx ?? canvas?.grid?.size ?? canvas?.scene?.dimensions?.size);
+  const x = Number(document?.x);
+  const y = Number(document?.y);
+  const width = Number(token?.w ?? (Number(document?.width) * gridSize));
+  const height = Number(token?.h ?? (Number(document?.height) * gridSize));
+  if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) return null;
+  return { x, y, width, height, center: { x: x + (width / 2), y: y + (height / 2) } };
+}
+
+function getSquareOffsetRange(start, length, size) {
+  // Tokens smaller than a space occupy the space under their centre.
+  const inset = Math.min(length, size) / 2;
+  return [Math.floor((start + inset) / size), Math.floor((start + length - inset) / size)];
+}
+
+// Grid spaces under the token: Foundry's own list where available (v13), else derived from its bounds.
+function getOccupiedOffsets(token, bounds, grid) {
+  const document = token?.document ?? token;
+  if (typeof document?.getOccupiedGridSpaceOffsets === "function") {
+    const offsets = document.getOccupiedGridSpaceOffsets();
+    if (offsets?.length) return offsets;
+  }
+
+  if (!grid.isSquare) return [grid.getOffset(bounds.center)];
+
+  const [j0, j1] = getSquareOffsetRange(bounds.x, bounds.width, grid.size);
+  const [i0, i1] = getSquareOffsetRange(bounds.y, bounds.height, grid.size);
+  const offsets = [];
+  for (let i = i0; i <= i1; i++) {
+    for (let j = j0; j <= j1; j++) {
+      offsets.push({ i, j });
+    }
+  }
+  return offsets;
+}
+
+function findNearestOccupiedCells(tokenA, boundsA, tokenB, boundsB, grid) {
+  const centersA = getOccupiedOffsets(tokenA, boundsA, grid).map((offset) => grid.getCenterPoint(offset));
+  const centersB = getOccupiedOffsets(tokenB, boundsB, grid).map((offset) => grid.getCenterPoint(offset));
+
+  let nearest = null;
+  for (const a of centersA) {
+    for (const b of centersB) {
+      const distanceSq = ((a.x - b.x) ** 2) + ((a.y - b.y) ** 2);
+      if (!nearest || distanceSq < nearest.distanceSq) nearest = { a, b, distanceSq };
+    }
+  }
+  return nearest;
+}
+
+// The radius of the circle around the token's footprint, in scene units.
 export function getTokenRadius(token, measurement) {
   if (!token) return null;
-  const width = Number(token.document?.width ?? token.document?._source?.width ?? token.w);
+  const document = token.document ?? token;
+  const width = Number(document?.width ?? document?._source?.width);
+  const height = Number(document?.height ?? document?._source?.height ?? width);
   const distance = Number(measurement?.gridDistance ?? canvas?.scene?.dimensions?.distance);
-  if (!Number.isFinite(width) || !Number.isFinite(distance) || width <= 0 || distance <= 0) return null;
-  const units = width * distance;
+  if (![width, height, distance].every(Number.isFinite) || width <= 0 || height <= 0 || distance <= 0) return null;
+  const units = Math.hypot(width, height) * distance;
   if (!Number.isFinite(units)) return null;
   return units / 2;
 }
 
-export function measureTokenDistance(tokenA, tokenB, measurement) {
-  if (!tokenA || !tokenB) return null;
-  if (tokenA === tokenB) return 0;
+/**
+ * Distance between two points in scene units, measured by the grid so square-grid diagonal rules
+ * and hex grids count the way Foundry's ruler does.
+ */
+export function measurePointDistance(pointA, pointB, measurement) {
+  if (!pointA || !pointB) return null;
+  const a = { x: pointA.x ?? 0, y: pointA.y ?? 0 };
+  const b = { x: pointB.x ?? 0, y: pointB.y ?? 0 };
+
+  const grid = measurement?.grid ?? getMeasurementGrid();
+  if (typeof grid?.measurePath === "function") {
+    try {
+      const dist = grid.measurePath([a, b])?.distance;
+      if (Number.isFinite(dist)) return dist;
+    } catch (err) {
+      // Fall through to straight-line measurement.
+    }
+  }
 
-  const distance = measurement?.gridDistance ?? canvas?.scene?.dimensions?.distance ?? null;
-  const size = measurement?.gridSize ?? canvas?.scene?.dimensions?.size ?? null;
+  const unitPerPixel = measurement?.unitPerPixel
+    ?? (canvas?.scene?.dimensions?.distance / canvas?.scene?.dimensions?.size);
+  if (!Number.isFinite(unitPerPixel) || unitPerPixel <= 0) return null;
 
-  if (!Number.isFinite(distance) || !Number.isFinite(size) || distance <= 0 || size <= 0) {
-    return null;
-  }
+  const dist = Math.hypot(a.x - b.x, a.y - b.y) * unitPerPixel;
+  return Number.isFinite(dist) ? dist : null;
+}
+
+// A token stands from its elevation as tall as its footprint is wide, so bigger creatures reach higher.
+function getTokenVerticalExtent(token, measurement) {
+  const document = token?.document ?? token;
+  const elevation = Number(document?.elevation ?? 0);
+  const distance = Number(measurement?.gridDistance ?? canvas?.scene?.dimensions?.distance);
+  const spaces = Math.max(Number(document?.width ?? 1), Number(document?.height ?? 1));
+  const height = spaces * distance;
+  return {
+    bottom: Number.isFinite(elevation) ? elevation : 0,
+    height: Number.isFinite(height) && height > 0 ? height : 0
+  };
+}
 
-  const tokenAData = tokenA.document?._source ?? tokenA.document ?? tokenA.data ?? {};
-  const tokenBData = tokenB.document?._source ?? tokenB.document ?? tokenB.data ?? {};
+// Difference between the tokens' elevations, in scene units.
+export function measureTokenElevationDifference(tokenA, tokenB) {
+  if (!tokenA || !tokenB || tokenA === tokenB) return 0;
+  const a = Number((tokenA.document ?? tokenA)?.elevation ?? 0);
+  const b = Number((tokenB.document ?? tokenB)?.elevation ?? 0);
+  return Number.isFinite(a) && Number.isFinite(b) ? Math.abs(a - b) : 0;
+}
 
-  const dx = (tokenAData.x ?? 0) - (tokenBData.x ?? 0);
-  const dy = (tokenAData.y ?? 0) - (tokenBData.y ?? 0);
-  const distPx = Math.hypot(dx, dy) / size;
-  const dist = distPx * distance;
-  if (!Number.isFinite(dist) || dist < 0) {
-    return null;
+// Vertical gap between the tokens' extents; 0 when one overlaps the other's height.
+export function measureTokenVerticalGap(tokenA, tokenB, measurement) {
+  if (!tokenA || !tokenB || tokenA === tokenB) return 0;
+  const a = getTokenVerticalExtent(tokenA, measurement);
+  const b = getTokenVerticalExtent(tokenB, measurement);
+  return Math.max(0, b.bottom - (a.bottom + a.height), a.bottom - (b.bottom + b.height));
+}
+
+function measureTokenFlatGap(tokenA, tokenB, measurement) {
+  const boundsA = getTokenBounds(tokenA, measurement);
+  const boundsB = getTokenBounds(tokenB, measurement);
+  if (!boundsA || !boundsB) return null;
+
+  const grid = measurement?.grid ?? getMeasurementGrid();
+  if (isGridded(grid)) {
+    const nearest = findNearestOccupiedCells(tokenA, boundsA, tokenB, boundsB, grid);
+    if (!nearest) return null;
+    if (nearest.distanceSq === 0) return 0;
+
+    const dist = measurePointDistance(nearest.a, nearest.b, measurement);
+    const space = Number(measurement?.gridDistance ?? grid.distance);
+    if (!Number.isFinite(dist) || !Number.isFinite(space)) return null;
+    return Math.max(0, dist - space);
   }
 
-  return dist;
+  const unitPerPixel = measurement?.unitPerPixel
+    ?? (canvas?.scene?.dimensions?.distance / canvas?.scene?.dimensions?.size);
+  if (!Number.isFinite(unitPerPixel) || unitPerPixel <= 0) return null;
+
+  const gapX = Math.max(0, Math.abs(boundsA.center.x - boundsB.center.x) - ((boundsA.width + boundsB.width) / 2));
+  const gapY = Math.max(0, Math.abs(boundsA.center.y - boundsB.center.y) - ((boundsA.height + boundsB.height) / 2));
+  const dist = Math.hypot(gapX, gapY) * unitPerPixel;
+  return Number.isFinite(dist) ? dist : null;
 }
 
+/**
+ * The gap between two tokens. Across the map it is the distance between their nearest occupied
+ * spaces less one space, so adjacent tokens are 0 apart whatever their size or shape (gridless
+ * scenes use the gap between the tokens' rectangles); it is combined with the vertical gap
+ * between their elevations.
+ */
 export function measureTokenEdgeDistance(tokenA, tokenB, measurement) {
   if (!tokenA || !tokenB) return null;
-  const rawDistance = measureTokenDistance(tokenA, tokenB, measurement);
-  if (!Number.isFinite(rawDistance)) return null;
+  if (tokenA === tokenB) return 0;
+
+  const flat = measureTokenFlatGap(tokenA, tokenB, measurement);
+  if (!Number.isFinite(flat)) return null;
+  return Math.hypot(flat, measureTokenVerticalGap(tokenA, tokenB, measurement));
+}
 
-  const tokenARadius = getTokenRadius(tokenA, measurement);
-  const tokenBRadius = getTokenRadius(tokenB, measurement);
+function wallsBlockEngagement(measurement) {
+  return measurement?.wallsBlockEngagement ?? game.settings.get(MODULE_ID, "wallsBlockEngagement");
+}
 
-  if (!Number.isFinite(tokenARadius) || !Number.isFinite(tokenBRadius)) return null;
-  return Math.max(0, rawDistance - tokenARadius - tokenBRadius);
+/**
+ * Whether one token could move straight to the other: the line between their centres, or failing
+ * that between their nearest occupied spaces, crosses no movement-blocking wall or closed door.
+ */
+export function tokensHaveClearPath(tokenA, tokenB, measurement) {
+  const backend = CONFIG?.Canvas?.polygonBackends?.move;
+  if (!tokenA || !tokenB || typeof backend?.testCollision !== "function") return true;
+
+  const boundsA = getTokenBounds(tokenA, measurement);
+  const boundsB = getTokenBounds(tokenB, measurement);
+  if (!boundsA || !boundsB) return true;
+
+  const lines = [[boundsA.center, boundsB.center]];
+  const grid = measurement?.grid ?? getMeasurementGrid();
+  if (isGridded(grid)) {
+    const nearest = findNearestOccupiedCells(tokenA, boundsA, tokenB, boundsB, grid);
+    if (nearest) lines.push([nearest.a, nearest.b]);
+  }
+
+  return lines.some(([origin, destination]) => !backend.testCollision(origin, destination, { type: "move", mode: "any" }));
 }
 
+// The wall test runs last, so only pairs already within reach pay for it.
 export function tokensAreEngaged(tokenA, tokenB, measurement) {
   const range = getTokenEngagementRange(tokenA);
   const dist = measureTokenEdgeDistance(tokenA, tokenB, measurement);
-  if (!Number.isFinite(range) || !Number.isFinite(dist)) return false;
-  return dist <= range;
+  if (!Number.isFinite(range) || !Number.isFinite(dist) || dist > range) return false;
+  return !wallsBlockEngagement(measurement) || tokensHaveClearPath(tokenA, tokenB, measurement);
 }
 
-export function tokensAreEngagedUsingDistance(tokenA, tokenB, measurement, measuredDistance) {
-  const range = getTokenEngagementRange(tokenA);
-  const tokenARadius = getTokenRadius(tokenA, measurement);
-  const tokenBRadius = getTokenRadius(tokenB, measurement);
-
-  if (Number.isFinite(range) && Number.isFinite(tokenARadius) && Number.isFinite(tokenBRadius)) {
-    const dist = Number.isFinite(measuredDistance)
-      ? Math.max(0, measuredDistance - tokenARadius - tokenBRadius)
-      : measureTokenEdgeDistance(tokenA, tokenB, measurement);
+// Takes a 3D edge distance the caller already measured, so checking both directions measures once.
+export function tokensAreEngagedUsingDistance(tokenA, tokenB, measurement, edgeDistance) {
+  if (!Number.isFinite(edgeDistance)) return tokensAreEngaged(tokenA, tokenB, measurement);
 
-    if (Number.isFinite(dist)) {
-      return dist <= range;
-    }
-  }
-
-  return tokensAreEngaged(tokenA, tokenB, measurement);
+  const range = getTokenEngagementRange(tokenA);
+  if (!Number.isFinite(range) || edgeDistance > range) return false;
+  return !wallsBlockEngagement(measurement) || tokensHaveClearPath(tokenA, tokenB, measurement);
 }
 
 export function getCanvasMeasurementContext() {
@@ -156,10 +424,22 @@ export function getCanvasMeasurementContext() {
     unitPerPixel,
     pxPerUnit,
     bucketSizePx: size,
-    gridDistance: distance
+    gridDistance: distance,
+    grid: getMeasurementGrid(),
+    wallsBlockEngagement: game.settings.get(MODULE_ID, "wallsBlockEngagement")
   };
 }
 
+/**
+ * The widest straight-line gap between two tokens' nearest spaces that grid measurement can still
+ * count as within `range`: one extra space because edge distances drop a space, and a factor of
+ * root two because diagonal rules can count a diagonal step as a single space.
+ */
+function getEngagementSearchRange(range, measurement) {
+  const space = Number(measurement?.gridDistance ?? 0);
+  return (range + (Number.isFinite(space) ? space : 0)) * Math.SQRT2;
+}
+
 export function buildEngagementTokenData(token, measurement) {
   if (!token?.id) return null;
   const center = token.center;
@@ -170,7 +450,7 @@ export function buildEngagementTokenData(token, measurement) {
   if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
 
   const range = getTokenEngagementRange(token);
-  const rawRangePx = measurement?.pxPerUnit ? range * measurement.pxPerUnit : null;
+  const rawRangePx = measurement?.pxPerUnit ? getEngagementSearchRange(range, measurement) * measurement.pxPerUnit : null;
   const rangePx = Number.isFinite(rawRangePx) && rawRangePx >= 0 ? rawRangePx : null;
 
   const radius = getTokenRadius(token, measurement);
@@ -195,9 +475,19 @@ export function buildEngagementTokenData(token, measurement) {
   };
 }
 
-export function collectEngagedTokenIds(friendlyTokens, hostileTokens, measurement) {
-  const engagedTokenIds = new Set();
-  if (!friendlyTokens.length || !hostileTokens.length) return engagedTokenIds;
+// Either side's reach is enough, so a long-limbed creature engages tokens with a shorter reach.
+function pairIsEngaged(tokenA, tokenB, measurement) {
+  const distance = measureTokenEdgeDistance(tokenA, tokenB, measurement);
+  return tokensAreEngagedUsingDistance(tokenA, tokenB, measurement, distance)
+    || tokensAreEngagedUsingDistance(tokenB, tokenA, measurement, distance);
+}
+
+/**
+ * Every friendly–hostile pair within reach of each other, as `[friendlyId, hostileId]`.
+ */
+export function collectEngagedPairs(friendlyTokens, hostileTokens, measurement) {
+  const pairs = [];
+  if (!friendlyTokens.length || !hostileTokens.length) return pairs;
 
   const friendlyData = friendlyTokens
     .map((token) => buildEngagementTokenData(token, measurement))
@@ -207,7 +497,7 @@ export function collectEngagedTokenIds(friendlyTokens, hostileTokens, measuremen
     .filter(Boolean);
 
   if (!friendlyData.length || !hostileData.length) {
-    return engagedTokenIds;
+    return pairs;
   }
 
   const canBucket = Boolean(measurement?.pxPerUnit && measurement?.bucketSizePx);
@@ -221,7 +511,7 @@ export function collectEngagedTokenIds(friendlyTokens, hostileTokens, measuremen
     let maxReachPx = 0;
     let maxRadiusPx = 0;
     for (const entry of [...friendlyData, ...hostileData]) {
-      const entryRangePx = Number.isFinite(entry.rangePx) ? entry.rangePx : (Number.isFinite(entry.range) ? entry.range * pxPerUnit : 0);
+      const entryRangePx = Number.isFinite(entry.rangePx) ? entry.rangePx : (Number.isFinite(entry.range) ? getEngagementSearchRange(entry.range, measurement) * pxPerUnit : 0);
       const entryRadiusPx = Number.isFinite(entry.radiusPx) ? entry.radiusPx : (Number.isFinite(entry.radius) ? entry.radius * pxPerUnit : 0);
 
       if (Number.isFinite(entryRadiusPx) && entryRadiusPx > maxRadiusPx) {
@@ -257,7 +547,7 @@ export function collectEngagedTokenIds(friendlyTokens, hostileTokens, measuremen
             const baseThreshold = Math.max(friendly.range, hostile.range);
             if (!Number.isFinite(baseThreshold) || baseThreshold < 0) continue;
 
-            const expandedThreshold = baseThreshold
+            const expandedThreshold = getEngagementSearchRange(baseThreshold, measurement)
               + (Number.isFinite(friendly.radius) ? friendly.radius : 0)
               + (Number.isFinite(hostile.radius) ? hostile.radius : 0);
             if (!Number.isFinite(expandedThreshold) || expandedThreshold <= 0) continue;
@@ -269,30 +559,27 @@ export function collectEngagedTokenIds(friendlyTokens, hostileTokens, measuremen
             if (Math.abs(dx) > thresholdPx || Math.abs(dy) > thresholdPx) continue;
             if ((dx * dx + dy * dy) > (thresholdPx * thresholdPx)) continue;
 
-            if (!tokensAreEngaged(friendly.token, hostile.token, measurement)) continue;
+            if (!pairIsEngaged(friendly.token, hostile.token, measurement)) continue;
 
-            engagedTokenIds.add(friendly.id);
-            engagedTokenIds.add(hostile.id);
+            pairs.push([friendly.id, hostile.id]);
           }
         }
       }
     }
 
-    if (engagedTokenIds.size) {
-      return engagedTokenIds;
-    }
+    // The bucketed search already covers every pair that could be in reach.
+    return pairs;
   }
 
   for (const friendly of friendlyData) {
     for (const hostile of hostileData) {
-      if (tokensAreEngaged(friendly.token, hostile.token, measurement)) {
-        engagedTokenIds.add(friendly.id);
-        engagedTokenIds.add(hostile.id);
+      if (pairIsEngaged(friendly.token, hostile.token, measurement)) {
+        pairs.push([friendly.id, hostile.id]);
       }
     }
   }
 
-  return engagedTokenIds;
+  return pairs;
 }
 
 export function normalizeSizeKey(size) {
@@ -0,0 +1,128 @@
+import { getActionLedger } from "./action-economy.js";
+import {
+  CONDITION_SPEED_MULTIPLIERS,
+  FULL_DEFENCE_CONDITION_ID,
+  FULL_DEFENCE_FLAG_SOURCE,
+  MODULE_ID
+} from "./constants.js";
+import { getTurnMovement, isActiveScene } from "./engagement.js";
+import { log, logError } from "./logging.js";
+import { getCanvasMeasurementContext, measurePointDistance } from "./measurement.js";
+import { getGMRecipients } from "./permissions.js";
+
+function hasPositionChange(changed) {
+  return Boolean(changed) && ("x" in changed || "y" in changed);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function effectChangesSpeed(effect) {
+  return (effect?.changes ?? []).some((change) => change?.key === "system.combat.speed");
+}
+
+// Effects that already change system.combat.speed are part of the actor's Speed; the rest are applied here.
+function getConditionMultiplier(actor, statusId, multiplier) {
+  const effects = actor?.effects?.filter?.((effect) => effect?.active !== false && effect?.statuses?.has?.(statusId)) ?? [];
+  if (!effects.length || effects.some(effectChangesSpeed)) return 1;
+  return multiplier;
+}
+
+/**
+ * The actor's Speed for this turn: adjusted for slowing conditions and Full Defence, and doubled
+ * once the combatant has Charged. Also returns the double-Speed ceiling a Charge or Run allows.
+ */
+export function getMovementAllowance(actor, combatant = null) {
+  let speed = Math.max(0, Number(actor?.system?.combat?.speed ?? 0));
+
+  for (const [statusId, multiplier] of Object.entries(CONDITION_SPEED_MULTIPLIERS)) {
+    speed *= getConditionMultiplier(actor, statusId, multiplier);
+  }
+
+  // The module's own Full Defence effect halves Speed through its changes; the bare status doesn't.
+  const fullDefence = actor?.effects?.filter?.((effect) => effect?.statuses?.has?.(FULL_DEFENCE_CONDITION_ID)) ?? [];
+  if (fullDefence.length && !fullDefence.some((effect) => effect.getFlag?.(MODULE_ID, "source") === FULL_DEFENCE_FLAG_SOURCE)) {
+    speed *= 0.5;
+  }
+
+  const charged = getActionLedger(combatant).entries.some((entry) => entry.charge || entry.source === "charge");
+  return {
+    speed,
+    allowance: charged ? speed * 2 : speed,
+    maximum: speed * 2,
+    charged
+  };
+}
+
+function getEnforcementMode() {
+  return game.settings.get(MODULE_ID, "movementEnforcement");
+}
+
+// Players can't move beyond double Speed in block mode; the GM's own moves are only reported.
+function blockExcessMovement(tokenDocument, changed) {
+  if (game.system?.id !== "wrath-and-glory" || !hasPositionChange(changed)) return true;
+  if (getEnforcementMode() !== "block" || game.user?.isGM) return true;
+
+  const combatant = tokenDocument?.combatant ?? null;
+  if (!game.combat?.started || !combatant || !isActiveScene(tokenDocument.parent)) return true;
+
+  const origin = { x: tokenDocument.x ?? 0, y: tokenDocument.y ?? 0 };
+  const destination = { x: changed.x ?? origin.x, y: changed.y ?? origin.y };
+  const step = measurePointDistance(origin, destination, getCanvasMeasurementContext());
+  if (!Number.isFinite(step)) return true;
+
+  const { maximum } = getMovementAllowance(tokenDocument.actor, combatant);
+  const projected = getTurnMovement(tokenDocument) + step;
+  if (projected <= maximum) return true;
+
+  ui.notifications?.warn(game.i18n.format("WNGCE.Movement.Blocked", {
+    name: tokenDocument.name,
+    moved: round(projected),
+    maximum: round(maximum)
+  }));
+  return false;
+}
+
+async function warnExcessMovement(tokenDocument, changed, options, userId) {
+  if (userId !== game.user?.id || game.system?.id !== "wrath-and-glory") return;
+  if (!hasPositionChange(changed) || getEnforcementMode() === "off") return;
+
+  const combatant = tokenDocument?.combatant ?? null;
+  if (!game.combat?.started || !combatant) return;
+
+  const moved = getTurnMovement(tokenDocument);
+  const { speed, allowance, maximum } = getMovementAllowance(tokenDocument.actor, combatant);
+  if (moved <= allowance) return;
+
+  // Warn once per level: past Speed (must Charge or Run) and past double Speed (too far).
+  const level = moved > maximum ? "TooFar" : "BeyondSpeed";
+  const warned = tokenDocument.getFlag(MODULE_ID, "movementWarning");
+  const turnKey = `${game.combat.id}.${game.combat.round}.${game.combat.turn}`;
+  if (warned?.turn === turnKey && (warned.level === level || warned.level === "TooFar")) return;
+
+  await tokenDocument.setFlag(MODULE_ID, "movementWarning", { turn: turnKey, level });
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format(`WNGCE.Movement.${level}`, {
+      name: foundry.utils.escapeHTML(tokenDocument.name ?? game.i18n.localize("WNGCE.Common.UnknownActor")),
+      moved: round(moved),
+      speed: round(speed),
+      maximum: round(maximum)
+    })}</p>`,
+    speaker: ChatMessage.getSpeaker({ actor: tokenDocument.actor, token: tokenDocument }),
+    whisper: getGMRecipients(),
+    flags: { [MODULE_ID]: { movementWarning: level } }
+  });
+
+  log("log", `${tokenDocument.name} moved ${round(moved)} m of ${round(allowance)} m this turn`);
+}
+
+export function registerMovementTracking() {
+  Hooks.on("preUpdateToken", (tokenDocument, changed) => blockExcessMovement(tokenDocument, changed));
+  Hooks.on("updateToken", (...args) => {
+    const maybePromise = warnExcessMovement(...args);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to check movement allowance", err));
+    }
+  });
+}
@@ -4,3 +4,14 @@ export function isActivePrimaryGM() {
   if (!activeGM) return true;
   return activeGM.id === game.user.id;
 }
+
+export function getGMRecipients() {
+  return game.users?.filter((user) => user.isGM).map((user) => user.id) ?? [];
+}
+
+// The GM and every user who owns the actor.
+export function getOwnerRecipients(actor) {
+  return (game.users ?? [])
+    .filter((user) => user.isGM || actor?.testUserPermission?.(user, "OWNER"))
+    .map((user) => user.id);
+}
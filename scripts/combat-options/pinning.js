@@ -0,0 +1,154 @@
+import {
+  MODULE_ID,
+  PINNED_CONDITION_ID,
+  PINNING_CONDITION_FLAG_SOURCE
+} from "./constants.js";
+import { log, logError } from "./logging.js";
+import { isActivePrimaryGM } from "./permissions.js";
+
+function getPinningFlags(message) {
+  if (message?.type !== "test") return null;
+  const combatExtender = message.system?.context?.flags?.combatExtender;
+  return combatExtender?.pinning ?? null;
+}
+
+function resolveMessageTargetActors(message) {
+  const targets = Array.isArray(message.system?.context?.targets) ? message.system.context.targets : [];
+  const actors = [];
+  const seen = new Set();
+
+  for (const target of targets) {
+    const tokenDocument = game.scenes?.get?.(target?.scene)?.tokens?.get?.(target?.token) ?? null;
+    const actor = tokenDocument?.actor ?? game.actors?.get?.(target?.actor) ?? null;
+    if (!actor?.uuid || seen.has(actor.uuid)) continue;
+    seen.add(actor.uuid);
+    actors.push(actor);
+  }
+
+  return actors;
+}
+
+function resolveMessageAttacker(message) {
+  const speaker = message.system?.context?.speaker ?? message.speaker;
+  if (!speaker) return null;
+
+  try {
+    return game.wng?.utility?.getSpeaker?.(speaker) ?? ChatMessage.getSpeakerActor(speaker) ?? null;
+  } catch (err) {
+    logError("Failed to resolve Pinning Attack speaker", err);
+    return null;
+  }
+}
+
+async function applyPinnedCondition(actor, attacker) {
+  if (!actor || typeof actor.addCondition !== "function") return false;
+
+  const existing = actor.effects?.find?.((effect) => effect?.statuses?.has?.(PINNED_CONDITION_ID)) ?? null;
+  const pinFlags = {
+    source: PINNING_CONDITION_FLAG_SOURCE,
+    pinnedBy: attacker?.uuid ?? null
+  };
+
+  try {
+    if (existing) {
+      // Refresh the duration so it expires at the start of the most recent attacker's turn; a
+      // Pinned condition applied any other way is left to whoever applied it.
+      const flagSource = existing.getFlag?.(MODULE_ID, "source");
+      if (flagSource !== PINNING_CONDITION_FLAG_SOURCE) return true;
+      await existing.update({ [`flags.${MODULE_ID}`]: pinFlags });
+      return true;
+    }
+
+    await actor.addCondition(PINNED_CONDITION_ID, { flags: { [MODULE_ID]: pinFlags } });
+    return true;
+  } catch (err) {
+    logError(`Failed to apply Pinned to ${actor.name}`, err);
+    return false;
+  }
+}
+
+async function resolvePinningAttack(message) {
+  if (!isActivePrimaryGM()) return;
+  if (game.system?.id !== "wrath-and-glory") return;
+
+  const pinning = getPinningFlags(message);
+  if (!pinning) return;
+  if (!message.system?.result?.isSuccess) return;
+  if (message.getFlag?.(MODULE_ID, "pinningResolved")) return;
+
+  // Mark first so the update below doesn't re-enter through updateChatMessage.
+  await message.setFlag(MODULE_ID, "pinningResolved", true);
+
+  const attacker = resolveMessageAttacker(message);
+  const targets = resolveMessageTargetActors(message);
+  if (!targets.length) return;
+
+  const pinned = [];
+  for (const actor of targets) {
+    if (await applyPinnedCondition(actor, attacker)) {
+      pinned.push(foundry.utils.escapeHTML(actor.name ?? game.i18n.localize("WNGCE.Common.UnknownActor")));
+    }
+  }
+
+  if (!pinned.length) return;
+
+  const attackerName = foundry.utils.escapeHTML(attacker?.name ?? game.i18n.localize("WNGCE.Common.UnknownActor"));
+  await ChatMessage.create({
+    content: `<p>${game.i18n.format("WNGCE.Pinning.ChatApplied", { targets: pinned.join(", "), name: attackerName })}</p>`,
+    speaker: message.speaker,
+    flags: {
+      [MODULE_ID]: {
+        pinningResult: true,
+        source: message.id
+      }
+    }
+  });
+
+  log("log", `Pinning Attack by ${attacker?.name ?? "unknown"} pinned ${pinned.length} target(s)`);
+}
+
+/**
+ * Removes Pinned conditions applied by Pinning Attacks from the actor whose turn is starting.
+ * The rules keep a target Pinned until the start of the attacker's next turn.
+ */
+export async function clearPinnedConditionsFromAttacker(combat) {
+  const attacker = combat?.combatant?.actor;
+  if (!attacker?.uuid) return;
+
+  const actors = new Set();
+  for (const combatant of combat.combatants ?? []) {
+    if (combatant?.actor) actors.add(combatant.actor);
+  }
+  for (const token of canvas?.tokens?.placeables ?? []) {
+    if (token?.actor) actors.add(token.actor);
+  }
+
+  for (const actor of actors) {
+    const effects = actor.effects?.filter?.((effect) => {
+      if (!effect?.statuses?.has?.(PINNED_CONDITION_ID)) return false;
+      if (effect.getFlag?.(MODULE_ID, "source") !== PINNING_CONDITION_FLAG_SOURCE) return false;
+      return effect.getFlag?.(MODULE_ID, "pinnedBy") === attacker.uuid;
+    }) ?? [];
+
+    for (const effect of effects) {
+      try {
+        await effect.delete();
+      } catch (err) {
+        logError(`Failed to remove Pinned from ${actor.name}`, err);
+      }
+    }
+  }
+}
+
+export function registerPinningAutomation() {
+  const handleMessage = (message) => {
+    const maybePromise = resolvePinningAttack(message);
+    if (maybePromise?.catch) {
+      maybePromise.catch((err) => logError("Failed to resolve Pinning Attack", err));
+    }
+  };
+
+  Hooks.on("createChatMessage", handleMessage);
+  // Rerolls and edits update the existing message, which can turn a failure into a success.
+  Hooks.on("updateChatMessage", handleMessage);
+}
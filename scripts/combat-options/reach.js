@@ -0,0 +1,127 @@
+import { MODULE_ID } from "./constants.js";
+import { requestEngagedEvaluation } from "./engagement.js";
+import { logError } from "./logging.js";
+import { getTokenReach } from "./measurement.js";
+
+const REACH_FLAG_PATH = `flags.${MODULE_ID}.reach`;
+
+function formatReach(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Shown under the token with its elevation whenever reach beats the range the token's size gives.
+function getReachTooltip(token) {
+  const { range, size, weapon } = getTokenReach(token);
+  if (!(range > size)) return "";
+  if (weapon?.reach === range) {
+    return game.i18n.format("WNGCE.Reach.TooltipWeapon", { reach: formatReach(range), weapon: weapon.name });
+  }
+  return game.i18n.format("WNGCE.Reach.Tooltip", { reach: formatReach(range) });
+}
+
+function injectReachField(app, html) {
+  if (game.system?.id !== "wrath-and-glory") return;
+
+  const item = app?.document ?? app?.item ?? null;
+  if (item?.type !== "weapon" || !item.system?.isMelee) return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0];
+  if (!element || element.querySelector(".wngce-reach")) return;
+
+  const anchor = element.querySelector('[name="system.range.melee"]')?.closest(".flexrow, .form-group") ?? null;
+  const container = anchor?.parentElement ?? element.querySelector('[data-tab="stats"]');
+  if (!container) return;
+
+  const value = item.getFlag(MODULE_ID, "reach") ?? "";
+  const group = document.createElement("div");
+  group.classList.add("form-group", "wngce-reach");
+  group.innerHTML = `
+    <label>${game.i18n.localize("WNGCE.Reach.Label")}</label>
+    <div class="form-fields">
+      <input type="number" name="${REACH_FLAG_PATH}" value="${foundry.utils.escapeHTML(String(value))}" min="0" step="0.5" />
+    </div>
+    <p class="hint">${game.i18n.localize("WNGCE.Reach.Hint")}</p>
+  `;
+  group.querySelector("input").disabled = app.isEditable === false;
+
+  if (anchor) anchor.after(group);
+  else container.appendChild(group);
+}
+
+function refreshReach(actor) {
+  if (game.system?.id !== "wrath-and-glory" || !actor) return;
+
+  const tokens = typeof actor.getActiveTokens === "function" ? actor.getActiveTokens(true) : [];
+  for (const token of tokens) {
+    token.renderFlags?.set?.({ refreshTooltip: true });
+  }
+  requestEngagedEvaluation();
+}
+
+function weaponReachChanged(item, changed) {
+  if (item?.type !== "weapon" || !item.actor) return false;
+  if (!changed) return true;
+  return foundry.utils.hasProperty(changed, "system.equipped")
+    || foundry.utils.hasProperty(changed, "system.category")
+    || foundry.utils.hasProperty(changed, REACH_FLAG_PATH);
+}
+
+function effectChangesReach(effect, changed) {
+  if (changed && !("changes" in changed) && !("disabled" in changed)) return false;
+  return (effect?.changes ?? []).some((change) => change?.key === REACH_FLAG_PATH) || Boolean(changed?.changes);
+}
+
+// Effects on an actor's items can transfer to the actor, so both parents count.
+function getEffectActor(effect) {
+  const parent = effect?.parent ?? null;
+  if (parent?.documentName === "Actor") return parent;
+  return parent?.actor ?? null;
+}
+
+export function registerReach() {
+  Hooks.once("setup", () => {
+    if (game.system?.id !== "wrath-and-glory") return;
+
+    if (typeof globalThis.libWrapper?.register !== "function") {
+      logError("libWrapper is not available; token tooltips will not show reach");
+      return;
+    }
+
+    libWrapper.register(MODULE_ID, "CONFIG.Token.objectClass.prototype._getTooltipText", function (wrapped, ...args) {
+      const text = wrapped(...args);
+      try {
+        const reach = getReachTooltip(this);
+        if (reach) return text ? `${text}\n${reach}` : reach;
+      } catch (err) {
+        logError("Failed to add reach to the token tooltip", err);
+      }
+      return text;
+    }, "WRAPPER");
+  });
+
+  for (const hookName of ["renderWeaponSheet", "renderItemSheet"]) {
+    Hooks.on(hookName, injectReachField);
+  }
+
+  Hooks.on("updateActor", (actor, changed) => {
+    if (foundry.utils.hasProperty(changed ?? {}, REACH_FLAG_PATH)) refreshReach(actor);
+  });
+  Hooks.on("createItem", (item) => {
+    if (weaponReachChanged(item)) refreshReach(item.actor);
+  });
+  Hooks.on("updateItem", (item, changed) => {
+    if (weaponReachChanged(item, changed)) refreshReach(item.actor);
+  });
+  Hooks.on("deleteItem", (item) => {
+    if (weaponReachChanged(item)) refreshReach(item.actor);
+  });
+  Hooks.on("createActiveEffect", (effect) => {
+    if (effectChangesReach(effect)) refreshReach(getEffectActor(effect));
+  });
+  Hooks.on("updateActiveEffect", (effect, changed) => {
+    if (effectChangesReach(effect, changed)) refreshReach(getEffectActor(effect));
+  });
+  Hooks.on("deleteActiveEffect", (effect) => {
+    if (effectChangesReach(effect)) refreshReach(getEffectActor(effect));
+  });
+}
@@ -0,0 +1,201 @@
+import { getModuleApi } from "./api.js";
+import { log, logError } from "./logging.js";
+
+export const COMBAT_OPTION_GROUPS = ["melee", "ranged", "general"];
+export const COMBAT_OPTION_TYPES = ["checkbox", "select"];
+
+// Insertion order is the order options render in their group and apply their modifiers.
+const combatOptions = new Map();
+
+function resolve(value, dialog) {
+  return typeof value === "function" ? value(dialog) : value;
+}
+
+function localizeLabel(label) {
+  const text = String(label ?? "");
+  return game.i18n?.has?.(text) ? game.i18n.localize(text) : text;
+}
+
+/**
+ * Adds an option to the attack dialog's Combat Options panel.
+ *
+ * - `id` is the dialog field the value is stored in; registering an existing id replaces it.
+ * - `group` is "melee", "ranged" or "general"; `type` is "checkbox" or "select".
+ * - `label`, `default`, `choices` (select only, `[{ value, label }]`), `hint` (tooltip) and
+ *   `note` (small text under the label) may be values or functions of the dialog.
+ * - `isAvailable(dialog)` hides the option and skips its modifiers; `isDisabled(dialog)` greys it out.
+ * - `apply(state, dialog)` runs on every compute while the option is available, with its value in
+ *   `state.value`. It adjusts `state.pool`, `difficulty`, `damage`, `ed`, `ap` and `wrath` and lists
+ *   each adjustment with `state.addTooltip(field, value, label)`.
+ * - `onChange(value, dialog)` runs after the user changes the option, before the dialog recomputes.
+ * - `isActive(value, fields)` reports whether the value changes the roll; defaults to a truthy value.
+ * - `summary` is the text the chat card shows while the option is active, or a function of
+ *   `(value, dialog)`; defaults to the label, plus the chosen entry for selects.
+ */
+export function registerCombatOption(option) {
+  const id = typeof option?.id === "string" ? option.id.trim() : "";
+  if (!id) {
+    logError("Combat options need a string id", option);
+    return false;
+  }
+  if (!COMBAT_OPTION_GROUPS.includes(option.group)) {
+    logError(`Combat option "${id}" has an unknown group "${option.group}"`);
+    return false;
+  }
+
+  const type = option.type ?? "checkbox";
+  if (!COMBAT_OPTION_TYPES.includes(type)) {
+    logError(`Combat option "${id}" has an unknown type "${type}"`);
+    return false;
+  }
+
+  if (combatOptions.has(id)) log("log", `Replacing combat option "${id}"`);
+  combatOptions.set(id, {
+    ...option,
+    id,
+    type,
+    default: option.default ?? (type === "checkbox" ? false : "")
+  });
+  return true;
+}
+
+export function getCombatOption(id) {
+  return combatOptions.get(id) ?? null;
+}
+
+function isAvailable(option, dialog) {
+  if (typeof option.isAvailable !== "function") return true;
+  try {
+    return Boolean(option.isAvailable(dialog));
+  } catch (err) {
+    logError(`Failed to check availability of combat option "${option.id}"`, err);
+    return false;
+  }
+}
+
+export function getAvailableCombatOptions(dialog) {
+  return Array.from(combatOptions.values()).filter((option) => isAvailable(option, dialog));
+}
+
+// Merged into the dialog's _defaultFields(), so every option starts from its default on each compute.
+export function getCombatOptionDefaults(dialog) {
+  const defaults = {};
+  for (const option of combatOptions.values()) {
+    try {
+      defaults[option.id] = resolve(option.default, dialog);
+    } catch (err) {
+      logError(`Failed to read the default of combat option "${option.id}"`, err);
+    }
+  }
+  return defaults;
+}
+
+export function combatOptionIsActive(option, fields) {
+  const value = foundry.utils.getProperty(fields ?? {}, option.id);
+  if (typeof option.isActive === "function") return Boolean(option.isActive(value, fields));
+  return Boolean(value);
+}
+
+export function anyCombatOptionActive(dialog, fields) {
+  return getAvailableCombatOptions(dialog).some((option) => combatOptionIsActive(option, fields));
+}
+
+/**
+ * Runs the apply step of every available option in registration order. A failing option is
+ * logged and skipped so one broken homebrew option doesn't take the whole dialog down.
+ */
+export function applyCombatOptions(state, dialog) {
+  for (const option of getAvailableCombatOptions(dialog)) {
+    if (typeof option.apply !== "function") continue;
+    state.value = foundry.utils.getProperty(state.fields, option.id);
+    try {
+      option.apply(state, dialog);
+    } catch (err) {
+      logError(`Combat option "${option.id}" failed to apply`, err);
+    }
+  }
+  delete state.value;
+  return state;
+}
+
+export async function runCombatOptionChange(id, value, dialog) {
+  const option = combatOptions.get(id);
+  if (typeof option?.onChange !== "function") return;
+  try {
+    await option.onChange(value, dialog);
+  } catch (err) {
+    logError(`Combat option "${id}" failed to handle a change`, err);
+  }
+}
+
+function defaultSummary(option, dialog, value) {
+  const label = localizeLabel(resolve(option.label, dialog) ?? option.id);
+  if (option.type !== "select") return label;
+
+  const choice = buildChoices(option, dialog, value).find((entry) => entry.selected);
+  return choice?.label ? `${label}: ${choice.label}` : label;
+}
+
+/**
+ * The active options as `[{ id, label }]` for the chat card. Labels are resolved when the attack
+ * is submitted so the log stays readable after the module that added an option is disabled.
+ */
+export function summarizeActiveCombatOptions(dialog, fields) {
+  const summaries = [];
+
+  for (const option of getAvailableCombatOptions(dialog)) {
+    try {
+      if (!combatOptionIsActive(option, fields)) continue;
+      const value = foundry.utils.getProperty(fields ?? {}, option.id);
+      let summary = option.summary;
+      if (summary === undefined) summary = defaultSummary(option, dialog, value);
+      else if (typeof summary === "function") summary = summary(value, dialog);
+      if (summary) summaries.push({ id: option.id, label: localizeLabel(summary) });
+    } catch (err) {
+      logError(`Failed to summarize combat option "${option.id}"`, err);
+    }
+  }
+
+  return summaries;
+}
+
+function buildChoices(option, dialog, value) {
+  const choices = resolve(option.choices, dialog) ?? [];
+  return choices.map((choice) => ({
+    value: String(choice.value ?? ""),
+    label: localizeLabel(choice.label ?? choice.value),
+    selected: String(choice.value ?? "") === String(value ?? "")
+  }));
+}
+
+// Render data for the panel, grouped for the template's co-checkbox and co-select partials.
+export function buildCombatOptionGroups(dialog, fields) {
+  const groups = Object.fromEntries(COMBAT_OPTION_GROUPS.map((group) => [group, []]));
+
+  for (const option of getAvailableCombatOptions(dialog)) {
+    try {
+      const value = foundry.utils.getProperty(fields ?? {}, option.id);
+      groups[option.group].push({
+        name: option.id,
+        label: localizeLabel(resolve(option.label, dialog) ?? option.id),
+        hint: resolve(option.hint, dialog) ?? "",
+        note: resolve(option.note, dialog) ?? "",
+        disabled: Boolean(option.isDisabled?.(dialog)),
+        isCheckbox: option.type === "checkbox",
+        checked: Boolean(value),
+        options: option.type === "select" ? buildChoices(option, dialog, value) : []
+      });
+    } catch (err) {
+      logError(`Failed to render combat option "${option.id}"`, err);
+    }
+  }
+
+  return groups;
+}
+
+export function registerCombatOptionRegistry() {
+  Hooks.once("init", () => {
+    const api = getModuleApi();
+    api.registerCombatOption = registerCombatOption;
+  });
+}
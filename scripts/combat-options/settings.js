@@ -1,4 +1,4 @@
-import { MODULE_ID } from "./constants.js";
+import { MEASUREMENT_DIAGONAL_RULES, MODULE_ID, MOVEMENT_ENFORCEMENT_MODES } from "./constants.js";
 
 export const registerSettings = () => {
   Hooks.once("init", () => {
@@ -11,5 +11,67 @@ export const registerSettings = () => {
       default: false,
       restricted: true
     });
+
+    game.settings.register(MODULE_ID, "wallCoverDetection", {
+      name: "Detect cover from walls",
+      hint: "Estimate Half or Full cover from sight-blocking walls between the attacker and each target when the attack dialog opens.",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: true,
+      restricted: true
+    });
+
+    game.settings.register(MODULE_ID, "wallsBlockEngagement", {
+      name: "Walls block engagement",
+      hint: "Tokens only count as Engaged when a movement-blocking wall or closed door doesn't stand between them.",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: false,
+      restricted: true
+    });
+
+    game.settings.register(MODULE_ID, "gridDiagonals", {
+      name: "Diagonal measurement",
+      hint: "How diagonals count on square grids when measuring engagement and range between tokens. Hex and gridless scenes are unaffected.",
+      scope: "world",
+      config: true,
+      type: String,
+      choices: MEASUREMENT_DIAGONAL_RULES,
+      default: "scene",
+      restricted: true
+    });
+
+    game.settings.register(MODULE_ID, "movementEnforcement", {
+      name: "Movement allowance",
+      hint: "Compare each token's movement this turn with its Speed, adjusted for slowing conditions, Full Defence and Charge. Moves past Speed whisper the GM; in block mode players also can't move beyond double Speed.",
+      scope: "world",
+      config: true,
+      type: String,
+      choices: MOVEMENT_ENFORCEMENT_MODES,
+      default: "warn",
+      restricted: true
+    });
+
+    game.settings.register(MODULE_ID, "firingIntoMeleeStrayShots", {
+      name: "Stray shots when firing into melee",
+      hint: "When a ranged attack at a target Engaged with the attacker's allies misses, roll which of those allies the shot strikes instead.",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: false,
+      restricted: true
+    });
+
+    game.settings.register(MODULE_ID, "disarmDropWeapon", {
+      name: "Drop disarmed weapons",
+      hint: "When a target fails its Strength test against a Disarm, drop the weapon beside its token as an Item Piles loot pile instead of only unequipping it. Requires the Item Piles module.",
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: false,
+      restricted: true
+    });
   });
 };
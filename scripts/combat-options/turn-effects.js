@@ -5,6 +5,15 @@ import {
 } from "./constants.js";
 import { log, logError } from "./logging.js";
 import { isActivePrimaryGM } from "./permissions.js";
+import { resetActionLedgers } from "./action-economy.js";
+import { clearMovementCommitments } from "./aim.js";
+import { clearFallBack } from "./fall-back.js";
+import {
+  announceReflexiveFullDefence,
+  expireFullDefence,
+  removeFullDefenceFromActor
+} from "./full-defence.js";
+import { clearPinnedConditionsFromAttacker } from "./pinning.js";
 
 export async function syncAllOutAttackCondition(actor, enabled) {
   if (!actor || game.system?.id !== "wrath-and-glory") return;
@@ -444,6 +453,12 @@ Hooks.on("updateCombat", (combat, changed) => {
   setTimeout(async () => {
     const actor = combat?.combatant?.actor;
     if (actor) await removeAllOutAttackFromActor(actor);
+    await clearMovementCommitments(combat);
+    await resetActionLedgers(combat);
+    await clearPinnedConditionsFromAttacker(combat);
+    await expireFullDefence(combat);
+    await clearFallBack(combat);
+    await announceReflexiveFullDefence(combat);
   }, 0);
 
   // keep your existing PD fallback:
@@ -457,6 +472,7 @@ Hooks.on("updateCombat", (combat, changed) => {
       const combatants = combat?.combatants ?? [];
       for (const combatant of combatants) {
         await removeAllOutAttackFromActor(combatant?.actor);
+        if (isActivePrimaryGM()) await removeFullDefenceFromActor(combatant?.actor);
       }
     }
   });
@@ -477,35 +477,22 @@ function resolveTokenDocumentSync(uuid) {
   return null;
 }
 
+// Returns "attacker" or "defender"; ties go to the initiator.
+function determineWinner(attackerResult, defenderResult, initiator) {
+  if (attackerResult.icons > defenderResult.icons) return "attacker";
+  if (defenderResult.icons > attackerResult.icons) return "defender";
+  return initiator === "defender" ? "defender" : "attacker";
+}
+
 async function buildChatSummary(attackerResult, defenderResult, { initiator } = {}) {
   const attackerRollHtml = attackerResult.roll ? await attackerResult.roll.render() : "";
   const defenderRollHtml = defenderResult.roll ? await defenderResult.roll.render() : "";
 
-  const attackerIcons = attackerResult.icons;
-  const defenderIcons = defenderResult.icons;
-  let winner = null;
-  let loser = null;
-  let margin = 0;
-  let tieBreaker = false;
-
-  if (attackerIcons > defenderIcons) {
-    winner = attackerResult;
-    loser = defenderResult;
-    margin = attackerIcons - defenderIcons;
-  } else if (defenderIcons > attackerIcons) {
-    winner = defenderResult;
-    loser = attackerResult;
-    margin = defenderIcons - attackerIcons;
-  } else {
-    tieBreaker = true;
-    if (initiator === "defender") {
-      winner = defenderResult;
-      loser = attackerResult;
-    } else {
-      winner = attackerResult;
-      loser = defenderResult;
-    }
-  }
+  const attackerWins = determineWinner(attackerResult, defenderResult, initiator) === "attacker";
+  const winner = attackerWins ? attackerResult : defenderResult;
+  const loser = attackerWins ? defenderResult : attackerResult;
+  const margin = Math.abs(attackerResult.icons - defenderResult.icons);
+  const tieBreaker = margin === 0;
 
   if (winner) {
     winner.shiftPotential = margin;
@@ -600,7 +587,7 @@ async function contestedRoll(initial = {}) {
   }
 
   let defenderDefault = normalizeSelectionValue(initial.defender ?? lastDialogState?.defender ?? targetedSelection ?? null);
-  if (targetedSelection && defenderOptions.some((option) => option.value === targetedSelection)) {
+  if (!initial.defender && targetedSelection && defenderOptions.some((option) => option.value === targetedSelection)) {
     defenderDefault = targetedSelection;
   }
   if (!defenderDefault || !defenderOptions.some((option) => option.value === defenderDefault)) {
@@ -692,6 +679,7 @@ async function contestedRoll(initial = {}) {
               await showDiceSoNiceRolls(attackerResult.roll, defenderResult.roll);
 
               const summaryHtml = await buildChatSummary(attackerResult, defenderResult, { initiator });
+              const winner = determineWinner(attackerResult, defenderResult, initiator);
               const speakerActor = attackerActor ?? defenderActor ?? null;
               const speakerToken = attackerSelection.tokenDocument ?? defenderSelection.tokenDocument ?? undefined;
               const speakerScene = speakerToken?.parent ?? undefined;
@@ -700,12 +688,15 @@ async function contestedRoll(initial = {}) {
                 token: speakerToken,
                 scene: speakerScene
               }) ?? undefined;
+              // Callers such as Grapple pass extra flags so a GM-side hook can act on the outcome.
               await ChatMessage.create({
                 content: summaryHtml,
                 speaker,
                 flags: {
                   [MODULE_ID]: {
+                    ...(initial.flags ?? {}),
                     contested: true,
+                    winner,
                     attacker:
                       attackerSelection.tokenDocument?.uuid ?? attackerActor?.uuid ?? attackerActor?.id ?? null,
                     defender:
@@ -714,7 +705,7 @@ async function contestedRoll(initial = {}) {
                   }
                 }
               });
-              resolve({ attackerResult, defenderResult, initiator });
+              resolve({ attackerResult, defenderResult, initiator, winner });
             } catch (err) {
               logError("Failed to complete contested roll", err);
               ui.notifications?.error?.(game.i18n.localize("WNGCE.ContestedRoll.RollFailure"));